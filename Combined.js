@@ -1,23 +1,50 @@
-const { Client, LocalAuth, MessageMedia, Buttons } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia, Buttons, List } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
 const express = require('express');
+const http = require('http');
+const { Server } = require('socket.io');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
 
 // Hotel Configuration
 const hotelConfig = {
   name: "Hotel Management System",
+  // Super-admin account seeded from the environment; more can be added through the API
   superAdmin: {
-    username: "superadmin",
-    password: "admin123" // In production, use environment variables
+    username: process.env.SUPERADMIN_USERNAME || "superadmin",
+    password: process.env.SUPERADMIN_PASSWORD || null,
+    passwordHash: process.env.SUPERADMIN_PASSWORD_HASH || null
   },
   databaseDir: path.join(__dirname, 'data'),
+  // Default currency for menus that don't set their own
+  currency: "INR",
+  // Used for menu hours when a hotel has no timezone of its own
+  timezone: process.env.HOTEL_TIMEZONE || "Asia/Kolkata",
+  // 'sqlite' (data/hotel.db) or 'json' (legacy per-hotel files)
+  storageDriver: process.env.STORAGE_DRIVER || 'sqlite',
+  // Guests can cancel or change an order while it is Pending, and for this many minutes after ordering
+  orderChangeGraceMinutes: 0,
+  // How far back "my orders" looks for guests who were never checked in
+  stayLookbackMs: 7 * 24 * 60 * 60 * 1000, // 7 days
+  // Stays run from check-in time on the arrival day to check-out time on the departure day
   checkInTime: "2:00 PM",
   checkOutTime: "11:00 AM",
   // Add auto-reconnect setting
-  autoReconnect: true
+  autoReconnect: true,
+  // Send choices as WhatsApp buttons/lists; set INTERACTIVE_MESSAGES=false for plain numbered text
+  interactiveMessages: process.env.INTERACTIVE_MESSAGES !== 'false',
+  // Guest carts are cleared after this much inactivity; whole conversations after the retention period
+  conversationIdleMs: 2 * 60 * 60 * 1000, // 2 hours
+  conversationRetentionMs: 30 * 24 * 60 * 60 * 1000, // 30 days
+  // Days the guest message log is kept; hotels can set their own
+  messageRetentionDays: parseInt(process.env.MESSAGE_RETENTION_DAYS, 10) || 90,
+  // Dashboard session lifetimes
+  sessionTtlMs: 60 * 60 * 1000, // 1 hour
+  refreshTtlMs: 7 * 24 * 60 * 60 * 1000 // 7 days
 };
 
 // Ensure data directory exists
@@ -28,563 +55,5308 @@ if (!fs.existsSync(hotelConfig.databaseDir)) {
 // Global maps to store active clients and user states
 const activeClients = new Map(); // phone -> client
 const clientStates = new Map(); // phone -> { isConnected, isDestroying }
-const userStates = new Map(); // phone -> user state
+const userStates = new Map(); // `${hotelPhone}:${guestId}` -> user state (cache of stored conversations)
 const processedMessageIds = new Set();
 const hotelQRs = new Map(); // phone -> QR data
+const guestTurns = new Map(); // `${hotelPhone}:${guestId}` -> the guest message being handled (see Message log)
+const sessions = new Map(); // access token -> session
+const refreshTokens = new Map(); // refresh token -> access token
+
+/**
+ * Storage layer
+ *
+ * Everything persistent goes through `storage`, picked by
+ * hotelConfig.storageDriver. Both drivers expose the same synchronous
+ * interface:
+ *   getHotels() / setHotels(hotels)
+ *   getSuperAdmins() / setSuperAdmins(admins)
+ *   getOrders(phone) / setOrders(phone, orders)
+ *   getOrder(phone, id) / insertOrder(phone, order) / updateOrder(phone, order) / deleteOrder(phone, id)
+ *   getGuestOrders(phone, guestNumber, sinceIsoTime) / getStayOrders(phone, stayId)
+ *   queryOrders(phone, query) -> { orders, total, statusCounts } (see matchesOrderQuery)
+ *   getMenu(phone) / setMenu(phone, menuData)
+ *   getRooms(phone) / setRooms(phone, rooms)
+ *   getUnansweredQuestions(phone) / setUnansweredQuestions(phone, questions)
+ *   getStays(phone, status?) / getStay(phone, id) / getGuestStays(phone, guestNumber)
+ *   insertStay(phone, stay) / updateStay(phone, stay)
+ *   getServiceRequests(phone, statuses?) / getServiceRequest(phone, id) / getGuestServiceRequests(phone, guestNumber, sinceIsoTime)
+ *   insertServiceRequest(phone, request) / updateServiceRequest(phone, request)
+ *   getHandoffs(phone, status?) / getHandoff(phone, id) / getGuestHandoff(phone, guestNumber)
+ *   insertHandoff(phone, handoff) / updateHandoff(phone, handoff)
+ *   insertMessage(phone, message) -> message with its id / deleteMessagesBefore(phone, isoTime) -> count
+ *   queryMessages(phone, query) -> { messages, total } / getMessageThreads(phone, query) -> { threads, total }
+ *     (see matchesMessageQuery)
+ *   getConversation(phone, guestId) / setConversation(phone, guestId, state) / deleteConversation(phone, guestId)
+ *   getConversationsIdleSince(isoTime) / deleteConversationsIdleSince(isoTime)
+ *
+ * 'sqlite' keeps everything in data/hotel.db. Records are stored as JSON
+ * with the columns we filter on (hotel, status, timestamp...) pulled out
+ * and indexed. 'json' is the legacy one-file-per-hotel layout.
+ */
+function readJsonFile(filePath, fallback) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    console.error(`Failed to parse ${path.basename(filePath)}:`, err);
+    return fallback;
+  }
+}
+
+// Write to a temp file first so a crash mid-write never leaves half a file behind
+function writeJsonFile(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Order queries, shared by both drivers:
+ * { statuses, room, guest, since, until, search, sort, limit, offset }
+ * since/until are ISO times (until is exclusive), guest matches part of the
+ * guest number and search matches item names, room or guest number.
+ * statusCounts covers every status, ignoring the statuses filter.
+ */
+function matchesOrderQuery(order, query) {
+  const contains = (value, text) => String(value || '').toLowerCase().includes(text.toLowerCase());
+
+  if (query.room && order.room !== query.room) return false;
+  if (query.guest && !contains(order.guestNumber, query.guest)) return false;
+  if (query.since && order.timestamp < query.since) return false;
+  if (query.until && order.timestamp >= query.until) return false;
+  if (query.search && !contains(order.room, query.search) && !contains(order.guestNumber, query.search) &&
+    !(order.items || []).some(item => contains(item.name, query.search))) return false;
+  return true;
+}
+
+const orderSorts = {
+  newest: { compare: (a, b) => b.timestamp.localeCompare(a.timestamp) || b.id - a.id, sql: 'timestamp DESC, id DESC' },
+  oldest: { compare: (a, b) => a.timestamp.localeCompare(b.timestamp) || a.id - b.id, sql: 'timestamp ASC, id ASC' },
+  room: {
+    compare: (a, b) => (a.room || '').localeCompare(b.room || '') || b.timestamp.localeCompare(a.timestamp),
+    sql: 'room ASC, timestamp DESC'
+  }
+};
+
+/**
+ * Message log queries, shared by both drivers:
+ * { guestNumber, guest, intent, orderId, direction, since, until, search, sort, limit, offset }
+ * guestNumber is one guest, guest matches part of the number and search
+ * matches the message text. A limit of null returns every match.
+ * Threads group the matches by guest, most recently active first.
+ */
+function matchesMessageQuery(message, query) {
+  const contains = (value, text) => String(value || '').toLowerCase().includes(text.toLowerCase());
+
+  if (query.guestNumber && message.guestNumber !== query.guestNumber) return false;
+  if (query.guest && !contains(message.guestNumber, query.guest)) return false;
+  if (query.intent && message.intent !== query.intent) return false;
+  if (query.orderId && message.orderId !== query.orderId) return false;
+  if (query.direction && message.direction !== query.direction) return false;
+  if (query.since && message.timestamp < query.since) return false;
+  if (query.until && message.timestamp >= query.until) return false;
+  if (query.search && !contains(message.text, query.search)) return false;
+  return true;
+}
+
+const messageSorts = {
+  oldest: { compare: (a, b) => a.timestamp.localeCompare(b.timestamp) || a.id - b.id, sql: 'timestamp ASC, id ASC' },
+  newest: { compare: (a, b) => b.timestamp.localeCompare(a.timestamp) || b.id - a.id, sql: 'timestamp DESC, id DESC' }
+};
+
+function createJsonStorage(dir) {
+  const hotelsFile = path.join(dir, 'hotels.json');
+  const superAdminsFile = path.join(dir, 'superadmins.json');
+  const ordersFile = phone => path.join(dir, `orders_${phone}.json`);
+  const menuFile = phone => path.join(dir, `menu_${phone}.json`);
+  const conversationsFile = phone => path.join(dir, `conversations_${phone}.json`);
+  const roomsFile = phone => path.join(dir, `rooms_${phone}.json`);
+  const unansweredFile = phone => path.join(dir, `unanswered_${phone}.json`);
+  const staysFile = phone => path.join(dir, `stays_${phone}.json`);
+  const serviceRequestsFile = phone => path.join(dir, `requests_${phone}.json`);
+  const handoffsFile = phone => path.join(dir, `handoffs_${phone}.json`);
+  const messagesFile = phone => path.join(dir, `messages_${phone}.json`);
+  const byCheckIn = (a, b) => a.checkInAt.localeCompare(b.checkInAt) || a.id - b.id;
+  const byCreation = (a, b) => a.createdAt.localeCompare(b.createdAt) || a.id - b.id;
+  const byStart = (a, b) => a.startedAt.localeCompare(b.startedAt) || a.id - b.id;
+  const conversationPhones = () => fs.readdirSync(dir)
+    .map(file => file.match(/^conversations_(.+)\.json$/))
+    .filter(Boolean)
+    .map(match => match[1]);
+
+  const storage = {
+    driver: 'json',
+
+    getHotels: () => readJsonFile(hotelsFile, []),
+    setHotels: hotels => writeJsonFile(hotelsFile, hotels),
+
+    getSuperAdmins: () => readJsonFile(superAdminsFile, []),
+    setSuperAdmins: admins => writeJsonFile(superAdminsFile, admins),
+
+    getOrders: phone => readJsonFile(ordersFile(phone), []),
+    setOrders: (phone, orders) => writeJsonFile(ordersFile(phone), orders),
+
+    getOrder(phone, id) {
+      return storage.getOrders(phone).find(o => o.id === id) || null;
+    },
+
+    getGuestOrders(phone, guestNumber, since) {
+      return storage.getOrders(phone).filter(o => o.guestNumber === guestNumber && o.timestamp >= since);
+    },
+
+    getStayOrders(phone, stayId) {
+      return storage.getOrders(phone).filter(o => o.stayId === stayId);
+    },
+
+    queryOrders(phone, query) {
+      const orders = storage.getOrders(phone).filter(order => matchesOrderQuery(order, query));
+      const statusCounts = {};
+      orders.forEach(order => { statusCounts[order.status] = (statusCounts[order.status] || 0) + 1; });
+
+      const matched = orders
+        .filter(order => !query.statuses || query.statuses.includes(order.status))
+        .sort(orderSorts[query.sort].compare);
+      return { orders: matched.slice(query.offset, query.offset + query.limit), total: matched.length, statusCounts };
+    },
+
+    insertOrder(phone, order) {
+      const orders = storage.getOrders(phone);
+      orders.push(order);
+      storage.setOrders(phone, orders);
+    },
+
+    updateOrder(phone, order) {
+      const orders = storage.getOrders(phone);
+      const index = orders.findIndex(o => o.id === order.id);
+      if (index === -1) return false;
+      orders[index] = order;
+      storage.setOrders(phone, orders);
+      return true;
+    },
+
+    deleteOrder(phone, id) {
+      const orders = storage.getOrders(phone);
+      const index = orders.findIndex(o => o.id === id);
+      if (index === -1) return false;
+      orders.splice(index, 1);
+      storage.setOrders(phone, orders);
+      return true;
+    },
+
+    getMenu: phone => readJsonFile(menuFile(phone), null),
+    setMenu: (phone, menuData) => writeJsonFile(menuFile(phone), menuData),
+
+    getRooms: phone => readJsonFile(roomsFile(phone), []),
+    setRooms: (phone, rooms) => writeJsonFile(roomsFile(phone), rooms),
+
+    getUnansweredQuestions: phone => readJsonFile(unansweredFile(phone), []),
+    setUnansweredQuestions: (phone, questions) => writeJsonFile(unansweredFile(phone), questions),
+
+    getStays(phone, status) {
+      return readJsonFile(staysFile(phone), [])
+        .filter(stay => !status || stay.status === status)
+        .sort(byCheckIn);
+    },
+
+    getStay(phone, id) {
+      return storage.getStays(phone).find(stay => stay.id === id) || null;
+    },
+
+    getGuestStays(phone, guestNumber) {
+      return storage.getStays(phone).filter(stay => stay.guestNumber === guestNumber);
+    },
+
+    insertStay(phone, stay) {
+      const stays = readJsonFile(staysFile(phone), []);
+      stays.push(stay);
+      writeJsonFile(staysFile(phone), stays);
+    },
+
+    updateStay(phone, stay) {
+      const stays = readJsonFile(staysFile(phone), []);
+      const index = stays.findIndex(s => s.id === stay.id);
+      if (index === -1) return false;
+      stays[index] = stay;
+      writeJsonFile(staysFile(phone), stays);
+      return true;
+    },
+
+    getServiceRequests(phone, statuses) {
+      return readJsonFile(serviceRequestsFile(phone), [])
+        .filter(request => !statuses || statuses.includes(request.status))
+        .sort(byCreation);
+    },
+
+    getServiceRequest(phone, id) {
+      return storage.getServiceRequests(phone).find(request => request.id === id) || null;
+    },
+
+    getGuestServiceRequests(phone, guestNumber, sinceIsoTime) {
+      return storage.getServiceRequests(phone)
+        .filter(request => request.guestNumber === guestNumber && request.createdAt >= sinceIsoTime);
+    },
+
+    insertServiceRequest(phone, request) {
+      const requests = readJsonFile(serviceRequestsFile(phone), []);
+      requests.push(request);
+      writeJsonFile(serviceRequestsFile(phone), requests);
+    },
+
+    updateServiceRequest(phone, request) {
+      const requests = readJsonFile(serviceRequestsFile(phone), []);
+      const index = requests.findIndex(r => r.id === request.id);
+      if (index === -1) return false;
+      requests[index] = request;
+      writeJsonFile(serviceRequestsFile(phone), requests);
+      return true;
+    },
+
+    getHandoffs(phone, status) {
+      return readJsonFile(handoffsFile(phone), [])
+        .filter(handoff => !status || handoff.status === status)
+        .sort(byStart);
+    },
+
+    getHandoff(phone, id) {
+      return storage.getHandoffs(phone).find(handoff => handoff.id === id) || null;
+    },
+
+    getGuestHandoff(phone, guestNumber) {
+      return storage.getHandoffs(phone, 'open').find(handoff => handoff.guestNumber === guestNumber) || null;
+    },
+
+    insertHandoff(phone, handoff) {
+      const handoffs = readJsonFile(handoffsFile(phone), []);
+      handoffs.push(handoff);
+      writeJsonFile(handoffsFile(phone), handoffs);
+    },
+
+    updateHandoff(phone, handoff) {
+      const handoffs = readJsonFile(handoffsFile(phone), []);
+      const index = handoffs.findIndex(h => h.id === handoff.id);
+      if (index === -1) return false;
+      handoffs[index] = handoff;
+      writeJsonFile(handoffsFile(phone), handoffs);
+      return true;
+    },
+
+    insertMessage(phone, message) {
+      const messages = readJsonFile(messagesFile(phone), []);
+      const logged = { id: messages.length > 0 ? messages[messages.length - 1].id + 1 : 1, ...message };
+      messages.push(logged);
+      writeJsonFile(messagesFile(phone), messages);
+      return logged;
+    },
+
+    queryMessages(phone, query) {
+      const matched = readJsonFile(messagesFile(phone), [])
+        .filter(message => matchesMessageQuery(message, query))
+        .sort(messageSorts[query.sort].compare);
+      return {
+        messages: query.limit === null ? matched : matched.slice(query.offset, query.offset + query.limit),
+        total: matched.length
+      };
+    },
+
+    getMessageThreads(phone, query) {
+      const threads = new Map();
+      for (const message of readJsonFile(messagesFile(phone), []).filter(m => matchesMessageQuery(m, query))) {
+        const thread = threads.get(message.guestNumber) ||
+          { guestNumber: message.guestNumber, messageCount: 0, firstAt: message.timestamp, lastAt: message.timestamp, lastMessage: message };
+        thread.messageCount++;
+        if (message.timestamp < thread.firstAt) thread.firstAt = message.timestamp;
+        if (message.timestamp >= thread.lastAt) {
+          thread.lastAt = message.timestamp;
+          thread.lastMessage = message;
+        }
+        threads.set(message.guestNumber, thread);
+      }
+
+      const sorted = [...threads.values()].sort((a, b) => b.lastAt.localeCompare(a.lastAt));
+      return { threads: sorted.slice(query.offset, query.offset + query.limit), total: sorted.length };
+    },
+
+    deleteMessagesBefore(phone, time) {
+      const messages = readJsonFile(messagesFile(phone), []);
+      const kept = messages.filter(message => message.timestamp >= time);
+      if (kept.length !== messages.length) writeJsonFile(messagesFile(phone), kept);
+      return messages.length - kept.length;
+    },
+
+    getConversation: (phone, guestId) => readJsonFile(conversationsFile(phone), {})[guestId] || null,
+
+    setConversation(phone, guestId, state) {
+      const conversations = readJsonFile(conversationsFile(phone), {});
+      conversations[guestId] = state;
+      writeJsonFile(conversationsFile(phone), conversations);
+    },
+
+    deleteConversation(phone, guestId) {
+      const conversations = readJsonFile(conversationsFile(phone), {});
+      if (!conversations[guestId]) return;
+      delete conversations[guestId];
+      writeJsonFile(conversationsFile(phone), conversations);
+    },
+
+    getConversationsIdleSince(time) {
+      return conversationPhones().flatMap(phone =>
+        Object.entries(readJsonFile(conversationsFile(phone), {}))
+          .filter(([, state]) => (state.updatedAt || '') < time)
+          .map(([guestId, state]) => ({ hotelPhone: phone, guestId, state }))
+      );
+    },
+
+    deleteConversationsIdleSince(time) {
+      let removed = 0;
+      for (const phone of conversationPhones()) {
+        const conversations = readJsonFile(conversationsFile(phone), {});
+        for (const [guestId, state] of Object.entries(conversations)) {
+          if ((state.updatedAt || '') < time) {
+            delete conversations[guestId];
+            removed++;
+          }
+        }
+        writeJsonFile(conversationsFile(phone), conversations);
+      }
+      return removed;
+    },
+
+    transaction: fn => fn()
+  };
+
+  return storage;
+}
+
+function createSqliteStorage(dir) {
+  // Required lazily so the JSON driver works without the native module
+  const Database = require('better-sqlite3');
+  const db = new Database(path.join(dir, 'hotel.db'));
+
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS meta (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    );
+    CREATE TABLE IF NOT EXISTS hotels (
+      id INTEGER PRIMARY KEY,
+      phone TEXT NOT NULL UNIQUE,
+      username TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS super_admins (
+      id INTEGER PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS orders (
+      hotel_phone TEXT NOT NULL,
+      id INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      room TEXT,
+      guest_number TEXT,
+      timestamp TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (hotel_phone, id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_orders_hotel_status ON orders (hotel_phone, status);
+    CREATE INDEX IF NOT EXISTS idx_orders_hotel_timestamp ON orders (hotel_phone, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_orders_hotel_guest ON orders (hotel_phone, guest_number);
+    CREATE TABLE IF NOT EXISTS menus (
+      hotel_phone TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS rooms (
+      hotel_phone TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS unanswered_questions (
+      hotel_phone TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS stays (
+      hotel_phone TEXT NOT NULL,
+      id INTEGER NOT NULL,
+      room TEXT NOT NULL,
+      guest_number TEXT NOT NULL,
+      status TEXT NOT NULL,
+      check_in_at TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (hotel_phone, id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_stays_hotel_guest ON stays (hotel_phone, guest_number);
+    CREATE INDEX IF NOT EXISTS idx_stays_hotel_status ON stays (hotel_phone, status);
+    CREATE TABLE IF NOT EXISTS service_requests (
+      hotel_phone TEXT NOT NULL,
+      id INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      department TEXT NOT NULL,
+      status TEXT NOT NULL,
+      room TEXT NOT NULL,
+      guest_number TEXT,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (hotel_phone, id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_service_requests_hotel_status ON service_requests (hotel_phone, status);
+    CREATE INDEX IF NOT EXISTS idx_service_requests_hotel_guest ON service_requests (hotel_phone, guest_number);
+    CREATE TABLE IF NOT EXISTS handoffs (
+      hotel_phone TEXT NOT NULL,
+      id INTEGER NOT NULL,
+      guest_number TEXT NOT NULL,
+      status TEXT NOT NULL,
+      started_at TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (hotel_phone, id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_handoffs_hotel_guest ON handoffs (hotel_phone, guest_number, status);
+    CREATE INDEX IF NOT EXISTS idx_handoffs_hotel_status ON handoffs (hotel_phone, status);
+    CREATE TABLE IF NOT EXISTS messages (
+      id INTEGER PRIMARY KEY,
+      hotel_phone TEXT NOT NULL,
+      guest_number TEXT NOT NULL,
+      direction TEXT NOT NULL,
+      intent TEXT,
+      order_id INTEGER,
+      timestamp TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_messages_hotel_guest ON messages (hotel_phone, guest_number, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_messages_hotel_timestamp ON messages (hotel_phone, timestamp);
+    CREATE TABLE IF NOT EXISTS conversations (
+      hotel_phone TEXT NOT NULL,
+      guest_id TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (hotel_phone, guest_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_conversations_updated ON conversations (updated_at);
+  `);
+
+  const stmts = {
+    getHotels: db.prepare('SELECT data FROM hotels ORDER BY rowid'),
+    // Saves rewrite only the rows that changed and drop the ones no longer listed
+    upsertHotel: db.prepare(`
+      INSERT INTO hotels (id, phone, username, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET phone = excluded.phone, username = excluded.username, data = excluded.data
+      WHERE hotels.data != excluded.data
+    `),
+    deleteOtherHotels: db.prepare('DELETE FROM hotels WHERE id NOT IN (SELECT value FROM json_each(?))'),
+    getSuperAdmins: db.prepare('SELECT data FROM super_admins ORDER BY rowid'),
+    upsertSuperAdmin: db.prepare(`
+      INSERT INTO super_admins (id, username, data) VALUES (?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET username = excluded.username, data = excluded.data
+      WHERE super_admins.data != excluded.data
+    `),
+    deleteOtherSuperAdmins: db.prepare('DELETE FROM super_admins WHERE id NOT IN (SELECT value FROM json_each(?))'),
+    getOrders: db.prepare('SELECT data FROM orders WHERE hotel_phone = ? ORDER BY timestamp, id'),
+    getOrder: db.prepare('SELECT data FROM orders WHERE hotel_phone = ? AND id = ?'),
+    getGuestOrders: db.prepare(`
+      SELECT data FROM orders WHERE hotel_phone = ? AND guest_number = ? AND timestamp >= ? ORDER BY timestamp, id
+    `),
+    getStayOrders: db.prepare(`
+      SELECT data FROM orders WHERE hotel_phone = ? AND json_extract(data, '$.stayId') = ? ORDER BY timestamp, id
+    `),
+    insertOrder: db.prepare(`
+      INSERT INTO orders (hotel_phone, id, status, room, guest_number, timestamp, data)
+      VALUES (@hotelPhone, @id, @status, @room, @guestNumber, @timestamp, @data)
+    `),
+    upsertOrder: db.prepare(`
+      INSERT INTO orders (hotel_phone, id, status, room, guest_number, timestamp, data)
+      VALUES (@hotelPhone, @id, @status, @room, @guestNumber, @timestamp, @data)
+      ON CONFLICT (hotel_phone, id) DO UPDATE SET status = excluded.status, room = excluded.room,
+        guest_number = excluded.guest_number, timestamp = excluded.timestamp, data = excluded.data
+      WHERE orders.data != excluded.data
+    `),
+    deleteOtherOrders: db.prepare('DELETE FROM orders WHERE hotel_phone = ? AND id NOT IN (SELECT value FROM json_each(?))'),
+    updateOrder: db.prepare(`
+      UPDATE orders SET status = @status, room = @room, guest_number = @guestNumber,
+        timestamp = @timestamp, data = @data
+      WHERE hotel_phone = @hotelPhone AND id = @id
+    `),
+    deleteOrder: db.prepare('DELETE FROM orders WHERE hotel_phone = ? AND id = ?'),
+    getMenu: db.prepare('SELECT data FROM menus WHERE hotel_phone = ?'),
+    setMenu: db.prepare(`
+      INSERT INTO menus (hotel_phone, data) VALUES (?, ?)
+      ON CONFLICT (hotel_phone) DO UPDATE SET data = excluded.data
+    `),
+    getRooms: db.prepare('SELECT data FROM rooms WHERE hotel_phone = ?'),
+    setRooms: db.prepare(`
+      INSERT INTO rooms (hotel_phone, data) VALUES (?, ?)
+      ON CONFLICT (hotel_phone) DO UPDATE SET data = excluded.data
+    `),
+    getUnansweredQuestions: db.prepare('SELECT data FROM unanswered_questions WHERE hotel_phone = ?'),
+    setUnansweredQuestions: db.prepare(`
+      INSERT INTO unanswered_questions (hotel_phone, data) VALUES (?, ?)
+      ON CONFLICT (hotel_phone) DO UPDATE SET data = excluded.data
+    `),
+    getStays: db.prepare('SELECT data FROM stays WHERE hotel_phone = ? ORDER BY check_in_at, id'),
+    getStaysByStatus: db.prepare('SELECT data FROM stays WHERE hotel_phone = ? AND status = ? ORDER BY check_in_at, id'),
+    getStay: db.prepare('SELECT data FROM stays WHERE hotel_phone = ? AND id = ?'),
+    getGuestStays: db.prepare('SELECT data FROM stays WHERE hotel_phone = ? AND guest_number = ? ORDER BY check_in_at, id'),
+    insertStay: db.prepare(`
+      INSERT INTO stays (hotel_phone, id, room, guest_number, status, check_in_at, data)
+      VALUES (@hotelPhone, @id, @room, @guestNumber, @status, @checkInAt, @data)
+    `),
+    updateStay: db.prepare(`
+      UPDATE stays SET room = @room, guest_number = @guestNumber, status = @status, check_in_at = @checkInAt, data = @data
+      WHERE hotel_phone = @hotelPhone AND id = @id
+    `),
+    getServiceRequests: db.prepare('SELECT data FROM service_requests WHERE hotel_phone = ? ORDER BY created_at, id'),
+    getServiceRequest: db.prepare('SELECT data FROM service_requests WHERE hotel_phone = ? AND id = ?'),
+    getGuestServiceRequests: db.prepare(`
+      SELECT data FROM service_requests WHERE hotel_phone = ? AND guest_number = ? AND created_at >= ? ORDER BY created_at, id
+    `),
+    insertServiceRequest: db.prepare(`
+      INSERT INTO service_requests (hotel_phone, id, type, department, status, room, guest_number, created_at, data)
+      VALUES (@hotelPhone, @id, @type, @department, @status, @room, @guestNumber, @createdAt, @data)
+    `),
+    updateServiceRequest: db.prepare(`
+      UPDATE service_requests SET type = @type, department = @department, status = @status, room = @room,
+        guest_number = @guestNumber, created_at = @createdAt, data = @data
+      WHERE hotel_phone = @hotelPhone AND id = @id
+    `),
+    getHandoffs: db.prepare('SELECT data FROM handoffs WHERE hotel_phone = ? ORDER BY started_at, id'),
+    getHandoffsByStatus: db.prepare('SELECT data FROM handoffs WHERE hotel_phone = ? AND status = ? ORDER BY started_at, id'),
+    getHandoff: db.prepare('SELECT data FROM handoffs WHERE hotel_phone = ? AND id = ?'),
+    getGuestHandoff: db.prepare(`
+      SELECT data FROM handoffs WHERE hotel_phone = ? AND guest_number = ? AND status = 'open' ORDER BY started_at DESC LIMIT 1
+    `),
+    insertHandoff: db.prepare(`
+      INSERT INTO handoffs (hotel_phone, id, guest_number, status, started_at, data)
+      VALUES (@hotelPhone, @id, @guestNumber, @status, @startedAt, @data)
+    `),
+    updateHandoff: db.prepare(`
+      UPDATE handoffs SET guest_number = @guestNumber, status = @status, started_at = @startedAt, data = @data
+      WHERE hotel_phone = @hotelPhone AND id = @id
+    `),
+    insertMessage: db.prepare(`
+      INSERT INTO messages (hotel_phone, guest_number, direction, intent, order_id, timestamp, data)
+      VALUES (@hotelPhone, @guestNumber, @direction, @intent, @orderId, @timestamp, @data)
+    `),
+    deleteMessagesBefore: db.prepare('DELETE FROM messages WHERE hotel_phone = ? AND timestamp < ?'),
+    getConversation: db.prepare('SELECT data FROM conversations WHERE hotel_phone = ? AND guest_id = ?'),
+    setConversation: db.prepare(`
+      INSERT INTO conversations (hotel_phone, guest_id, updated_at, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT (hotel_phone, guest_id) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data
+    `),
+    deleteConversation: db.prepare('DELETE FROM conversations WHERE hotel_phone = ? AND guest_id = ?'),
+    getIdleConversations: db.prepare('SELECT hotel_phone, guest_id, data FROM conversations WHERE updated_at < ?'),
+    deleteIdleConversations: db.prepare('DELETE FROM conversations WHERE updated_at < ?'),
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare(`
+      INSERT INTO meta (key, value) VALUES (?, ?)
+      ON CONFLICT (key) DO UPDATE SET value = excluded.value
+    `)
+  };
+
+  const parseRows = rows => rows.map(row => JSON.parse(row.data));
+
+  // Order queries are built from the filters in use; keep each shape's statement
+  const queryStatements = new Map();
+  const queryStatement = sql => {
+    if (!queryStatements.has(sql)) queryStatements.set(sql, db.prepare(sql));
+    return queryStatements.get(sql);
+  };
+  const orderParams = (phone, order) => ({
+    hotelPhone: phone,
+    id: order.id,
+    status: order.status,
+    room: order.room || null,
+    guestNumber: order.guestNumber || null,
+    timestamp: order.timestamp,
+    data: JSON.stringify(order)
+  });
+  const stayParams = (phone, stay) => ({
+    hotelPhone: phone,
+    id: stay.id,
+    room: stay.room,
+    guestNumber: stay.guestNumber,
+    status: stay.status,
+    checkInAt: stay.checkInAt,
+    data: JSON.stringify(stay)
+  });
+  const serviceRequestParams = (phone, request) => ({
+    hotelPhone: phone,
+    id: request.id,
+    type: request.type,
+    department: request.department,
+    status: request.status,
+    room: request.room,
+    guestNumber: request.guestNumber || null,
+    createdAt: request.createdAt,
+    data: JSON.stringify(request)
+  });
+  const handoffParams = (phone, handoff) => ({
+    hotelPhone: phone,
+    id: handoff.id,
+    guestNumber: handoff.guestNumber,
+    status: handoff.status,
+    startedAt: handoff.startedAt,
+    data: JSON.stringify(handoff)
+  });
+  const messageFromRow = row => ({ id: row.id, ...JSON.parse(row.data) });
+  const messageFilters = (phone, query) => {
+    const like = text => `%${text.replace(/[\\%_]/g, char => '\\' + char)}%`;
+    const where = ['hotel_phone = @phone'];
+    const params = { phone };
+    const filters = {
+      guestNumber: 'guest_number = @guestNumber',
+      intent: 'intent = @intent',
+      orderId: 'order_id = @orderId',
+      direction: 'direction = @direction',
+      since: 'timestamp >= @since',
+      until: 'timestamp < @until'
+    };
+
+    for (const [key, clause] of Object.entries(filters)) {
+      if (query[key]) {
+        where.push(clause);
+        params[key] = query[key];
+      }
+    }
+    if (query.guest) {
+      where.push("guest_number LIKE @guest ESCAPE '\\'");
+      params.guest = like(query.guest);
+    }
+    if (query.search) {
+      where.push("json_extract(data, '$.text') LIKE @search ESCAPE '\\'");
+      params.search = like(query.search);
+    }
+    return { where: where.join(' AND '), params };
+  };
+
+  const storage = {
+    driver: 'sqlite',
+    db,
+
+    getHotels: () => parseRows(stmts.getHotels.all()),
+    setHotels: db.transaction(hotels => {
+      stmts.deleteOtherHotels.run(JSON.stringify(hotels.map(hotel => hotel.id)));
+      for (const hotel of hotels) {
+        stmts.upsertHotel.run(hotel.id, hotel.phone, hotel.username, JSON.stringify(hotel));
+      }
+    }),
+
+    getSuperAdmins: () => parseRows(stmts.getSuperAdmins.all()),
+    setSuperAdmins: db.transaction(admins => {
+      stmts.deleteOtherSuperAdmins.run(JSON.stringify(admins.map(admin => admin.id)));
+      for (const admin of admins) {
+        stmts.upsertSuperAdmin.run(admin.id, admin.username, JSON.stringify(admin));
+      }
+    }),
+
+    getOrders: phone => parseRows(stmts.getOrders.all(phone)),
+    setOrders: db.transaction((phone, orders) => {
+      stmts.deleteOtherOrders.run(phone, JSON.stringify(orders.map(order => order.id)));
+      for (const order of orders) {
+        stmts.upsertOrder.run(orderParams(phone, order));
+      }
+    }),
+
+    getOrder(phone, id) {
+      const row = stmts.getOrder.get(phone, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    getGuestOrders: (phone, guestNumber, since) => parseRows(stmts.getGuestOrders.all(phone, guestNumber, since)),
+    getStayOrders: (phone, stayId) => parseRows(stmts.getStayOrders.all(phone, stayId)),
+
+    queryOrders(phone, query) {
+      const like = text => `%${text.replace(/[\\%_]/g, char => '\\' + char)}%`;
+      const where = ['hotel_phone = @phone'];
+      const params = { phone, limit: query.limit, offset: query.offset };
+
+      if (query.room) {
+        where.push('room = @room');
+        params.room = query.room;
+      }
+      if (query.guest) {
+        where.push("guest_number LIKE @guest ESCAPE '\\'");
+        params.guest = like(query.guest);
+      }
+      if (query.since) {
+        where.push('timestamp >= @since');
+        params.since = query.since;
+      }
+      if (query.until) {
+        where.push('timestamp < @until');
+        params.until = query.until;
+      }
+      if (query.search) {
+        where.push(`(room LIKE @search ESCAPE '\\' OR guest_number LIKE @search ESCAPE '\\' OR EXISTS (
+          SELECT 1 FROM json_each(orders.data, '$.items') WHERE json_extract(value, '$.name') LIKE @search ESCAPE '\\'
+        ))`);
+        params.search = like(query.search);
+      }
+
+      const statusCounts = Object.fromEntries(
+        queryStatement(`SELECT status, COUNT(*) AS count FROM orders WHERE ${where.join(' AND ')} GROUP BY status`)
+          .all(params)
+          .map(row => [row.status, row.count])
+      );
+
+      if (query.statuses) {
+        query.statuses.forEach((status, index) => { params[`status${index}`] = status; });
+        where.push(`status IN (${query.statuses.map((_, index) => `@status${index}`).join(', ')})`);
+      }
+
+      const filter = where.join(' AND ');
+      const { total } = queryStatement(`SELECT COUNT(*) AS total FROM orders WHERE ${filter}`).get(params);
+      const rows = queryStatement(
+        `SELECT data FROM orders WHERE ${filter} ORDER BY ${orderSorts[query.sort].sql} LIMIT @limit OFFSET @offset`
+      ).all(params);
+
+      return { orders: parseRows(rows), total, statusCounts };
+    },
+
+    insertOrder: (phone, order) => {
+      stmts.insertOrder.run(orderParams(phone, order));
+    },
+    updateOrder: (phone, order) => stmts.updateOrder.run(orderParams(phone, order)).changes > 0,
+    deleteOrder: (phone, id) => stmts.deleteOrder.run(phone, id).changes > 0,
+
+    getMenu(phone) {
+      const row = stmts.getMenu.get(phone);
+      return row ? JSON.parse(row.data) : null;
+    },
+    setMenu: (phone, menuData) => {
+      stmts.setMenu.run(phone, JSON.stringify(menuData));
+    },
+
+    getRooms(phone) {
+      const row = stmts.getRooms.get(phone);
+      return row ? JSON.parse(row.data) : [];
+    },
+    setRooms: (phone, rooms) => {
+      stmts.setRooms.run(phone, JSON.stringify(rooms));
+    },
+
+    getUnansweredQuestions(phone) {
+      const row = stmts.getUnansweredQuestions.get(phone);
+      return row ? JSON.parse(row.data) : [];
+    },
+    setUnansweredQuestions: (phone, questions) => {
+      stmts.setUnansweredQuestions.run(phone, JSON.stringify(questions));
+    },
+
+    getStays: (phone, status) => parseRows(status ? stmts.getStaysByStatus.all(phone, status) : stmts.getStays.all(phone)),
+    getStay(phone, id) {
+      const row = stmts.getStay.get(phone, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    getGuestStays: (phone, guestNumber) => parseRows(stmts.getGuestStays.all(phone, guestNumber)),
+    insertStay: (phone, stay) => {
+      stmts.insertStay.run(stayParams(phone, stay));
+    },
+    updateStay: (phone, stay) => stmts.updateStay.run(stayParams(phone, stay)).changes > 0,
+
+    getServiceRequests(phone, statuses) {
+      if (!statuses) return parseRows(stmts.getServiceRequests.all(phone));
+      return parseRows(queryStatement(`
+        SELECT data FROM service_requests WHERE hotel_phone = ? AND status IN (${statuses.map(() => '?').join(', ')})
+        ORDER BY created_at, id
+      `).all(phone, ...statuses));
+    },
+    getServiceRequest(phone, id) {
+      const row = stmts.getServiceRequest.get(phone, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    getGuestServiceRequests: (phone, guestNumber, sinceIsoTime) =>
+      parseRows(stmts.getGuestServiceRequests.all(phone, guestNumber, sinceIsoTime)),
+    insertServiceRequest: (phone, request) => {
+      stmts.insertServiceRequest.run(serviceRequestParams(phone, request));
+    },
+    updateServiceRequest: (phone, request) => stmts.updateServiceRequest.run(serviceRequestParams(phone, request)).changes > 0,
+
+    getHandoffs: (phone, status) => parseRows(status ? stmts.getHandoffsByStatus.all(phone, status) : stmts.getHandoffs.all(phone)),
+    getHandoff(phone, id) {
+      const row = stmts.getHandoff.get(phone, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    getGuestHandoff(phone, guestNumber) {
+      const row = stmts.getGuestHandoff.get(phone, guestNumber);
+      return row ? JSON.parse(row.data) : null;
+    },
+    insertHandoff: (phone, handoff) => {
+      stmts.insertHandoff.run(handoffParams(phone, handoff));
+    },
+    updateHandoff: (phone, handoff) => stmts.updateHandoff.run(handoffParams(phone, handoff)).changes > 0,
+
+    insertMessage(phone, message) {
+      const { lastInsertRowid } = stmts.insertMessage.run({
+        hotelPhone: phone,
+        guestNumber: message.guestNumber,
+        direction: message.direction,
+        intent: message.intent || null,
+        orderId: message.orderId || null,
+        timestamp: message.timestamp,
+        data: JSON.stringify(message)
+      });
+      return { id: Number(lastInsertRowid), ...message };
+    },
+
+    queryMessages(phone, query) {
+      const { where, params } = messageFilters(phone, query);
+      const total = queryStatement(`SELECT COUNT(*) AS count FROM messages WHERE ${where}`).get(params).count;
+      const page = query.limit === null ? '' : 'LIMIT @limit OFFSET @offset';
+      const rows = queryStatement(`SELECT id, data FROM messages WHERE ${where} ORDER BY ${messageSorts[query.sort].sql} ${page}`)
+        .all({ ...params, limit: query.limit, offset: query.offset });
+      return { messages: rows.map(messageFromRow), total };
+    },
+
+    getMessageThreads(phone, query) {
+      const { where, params } = messageFilters(phone, query);
+      const total = queryStatement(`SELECT COUNT(DISTINCT guest_number) AS count FROM messages WHERE ${where}`).get(params).count;
+      const rows = queryStatement(`
+        SELECT * FROM (
+          SELECT id, data, guest_number, timestamp AS last_at,
+            COUNT(*) OVER guest AS message_count, MIN(timestamp) OVER guest AS first_at,
+            ROW_NUMBER() OVER (PARTITION BY guest_number ORDER BY timestamp DESC, id DESC) AS recency
+          FROM messages WHERE ${where}
+          WINDOW guest AS (PARTITION BY guest_number)
+        ) WHERE recency = 1 ORDER BY last_at DESC LIMIT @limit OFFSET @offset
+      `).all({ ...params, limit: query.limit, offset: query.offset });
+
+      return {
+        threads: rows.map(row => ({
+          guestNumber: row.guest_number,
+          messageCount: row.message_count,
+          firstAt: row.first_at,
+          lastAt: row.last_at,
+          lastMessage: messageFromRow(row)
+        })),
+        total
+      };
+    },
+
+    deleteMessagesBefore: (phone, time) => stmts.deleteMessagesBefore.run(phone, time).changes,
+
+    getConversation(phone, guestId) {
+      const row = stmts.getConversation.get(phone, guestId);
+      return row ? JSON.parse(row.data) : null;
+    },
+    setConversation: (phone, guestId, state) => {
+      stmts.setConversation.run(phone, guestId, state.updatedAt || new Date().toISOString(), JSON.stringify(state));
+    },
+    deleteConversation: (phone, guestId) => {
+      stmts.deleteConversation.run(phone, guestId);
+    },
+    getConversationsIdleSince: time => stmts.getIdleConversations.all(time).map(row => ({
+      hotelPhone: row.hotel_phone,
+      guestId: row.guest_id,
+      state: JSON.parse(row.data)
+    })),
+    deleteConversationsIdleSince: time => stmts.deleteIdleConversations.run(time).changes,
+
+    getMeta(key) {
+      const row = stmts.getMeta.get(key);
+      return row ? row.value : null;
+    },
+    setMeta: (key, value) => {
+      stmts.setMeta.run(key, value);
+    },
+
+    transaction: fn => db.transaction(fn)()
+  };
+
+  return storage;
+}
+
+// Legacy files may repeat a record; the first one wins
+function uniqueLegacyRecords(records, keys, label) {
+  const seen = keys.map(() => new Set());
+  return records.filter(record => {
+    const duplicate = keys.find((key, index) => seen[index].has(record[key]));
+    if (duplicate) {
+      console.log(`⚠️ Skipped legacy ${label} with duplicate ${duplicate} ${record[duplicate]}`);
+      return false;
+    }
+    keys.forEach((key, index) => seen[index].add(record[key]));
+    return true;
+  });
+}
+
+// Orders need an id and a status; a missing timestamp is taken from the order's history or the file
+function repairLegacyOrders(phone, orders, fileTime) {
+  const usable = orders.filter(order => {
+    if (order && Number.isInteger(Number(order.id)) && typeof order.status === 'string') return true;
+    console.log(`⚠️ Skipped legacy order for ${phone} without an id or status:`, JSON.stringify(order).slice(0, 200));
+    return false;
+  }).map(order => {
+    if (order.timestamp) return { ...order, id: Number(order.id) };
+
+    const timestamp = ((order.history || [])[0] || {}).at || fileTime;
+    console.log(`⚠️ Legacy order #${order.id} for ${phone} had no timestamp; using ${timestamp}`);
+    return { ...order, id: Number(order.id), timestamp };
+  });
+  return uniqueLegacyRecords(usable, ['id'], `order for ${phone}`);
+}
+
+/**
+ * One-shot import of the legacy data/*.json files into SQLite.
+ * Runs on the first start with the sqlite driver; the JSON files are left
+ * in place as a backup. Records the tables can't hold are skipped with a warning.
+ */
+function migrateJsonToSqlite(storage, dir) {
+  if (storage.getMeta('json_migrated_at')) {
+    return;
+  }
+
+  const legacy = createJsonStorage(dir);
+  const files = fs.readdirSync(dir);
+  const hotels = uniqueLegacyRecords(legacy.getHotels(), ['id', 'phone', 'username'], 'hotel');
+  const summary = { hotels: hotels.length, orders: 0, menus: 0 };
+
+  storage.transaction(() => {
+    if (hotels.length > 0) {
+      storage.setHotels(hotels);
+    }
+
+    const admins = uniqueLegacyRecords(legacy.getSuperAdmins(), ['id', 'username'], 'super admin');
+    if (admins.length > 0) {
+      storage.setSuperAdmins(admins);
+    }
+
+    for (const file of files) {
+      const orderMatch = file.match(/^orders_(.+)\.json$/);
+      const menuMatch = file.match(/^menu_(.+)\.json$/);
+
+      if (orderMatch) {
+        const fileTime = fs.statSync(path.join(dir, file)).mtime.toISOString();
+        const orders = repairLegacyOrders(orderMatch[1], legacy.getOrders(orderMatch[1]), fileTime);
+        storage.setOrders(orderMatch[1], orders);
+        summary.orders += orders.length;
+      } else if (menuMatch) {
+        const menuData = legacy.getMenu(menuMatch[1]);
+        if (menuData) {
+          storage.setMenu(menuMatch[1], menuData);
+          summary.menus++;
+        }
+      }
+    }
+
+    storage.setMeta('json_migrated_at', new Date().toISOString());
+  });
+
+  if (summary.hotels || summary.orders || summary.menus) {
+    console.log(`📦 Imported JSON data into SQLite: ${summary.hotels} hotels, ${summary.orders} orders, ${summary.menus} menus`);
+  }
+}
+
+function createStorage() {
+  if (hotelConfig.storageDriver === 'json') {
+    return createJsonStorage(hotelConfig.databaseDir);
+  }
+
+  const sqliteStorage = createSqliteStorage(hotelConfig.databaseDir);
+  migrateJsonToSqlite(sqliteStorage, hotelConfig.databaseDir);
+  return sqliteStorage;
+}
+
+const storage = createStorage();
 
 /**
  * Hotel data management functions
  */
-function getHotelsFilePath() {
-  return path.join(hotelConfig.databaseDir, 'hotels.json');
+function loadHotels() {
+  return storage.getHotels();
+}
+
+function saveHotels(hotels) {
+  storage.setHotels(hotels);
+}
+
+function loadSuperAdmins() {
+  return storage.getSuperAdmins();
+}
+
+function saveSuperAdmins(admins) {
+  storage.setSuperAdmins(admins);
+}
+
+/**
+ * Make sure at least one super-admin account exists.
+ * The account named in SUPERADMIN_USERNAME is created or has its password
+ * synced from SUPERADMIN_PASSWORD / SUPERADMIN_PASSWORD_HASH. If nothing is
+ * configured and no account exists yet, a random password is generated and
+ * printed once.
+ */
+function ensureSuperAdmins() {
+  const admins = loadSuperAdmins();
+  const { username, password, passwordHash } = hotelConfig.superAdmin;
+  const existing = admins.find(a => a.username === username);
+
+  if (password || passwordHash) {
+    const hash = passwordHash || bcrypt.hashSync(password, 10);
+
+    if (!existing) {
+      admins.push({ id: Date.now(), username, password: hash, createdAt: new Date().toISOString() });
+      saveSuperAdmins(admins);
+    } else if (passwordHash ? existing.password !== passwordHash : !bcrypt.compareSync(password, existing.password)) {
+      existing.password = hash;
+      saveSuperAdmins(admins);
+    }
+    return;
+  }
+
+  if (admins.length === 0) {
+    const generatedPassword = crypto.randomBytes(9).toString('base64');
+    admins.push({ id: Date.now(), username, password: bcrypt.hashSync(generatedPassword, 10), createdAt: new Date().toISOString() });
+    saveSuperAdmins(admins);
+    console.log(`🔑 Created super admin "${username}" with password: ${generatedPassword}`);
+    console.log('   Set SUPERADMIN_PASSWORD to choose your own, or change it from the dashboard.');
+  }
+}
+
+function loadOrders(phone) {
+  return storage.getOrders(phone);
+}
+
+function saveOrders(phone, orders) {
+  storage.setOrders(phone, orders);
+}
+
+function findOrder(phone, id) {
+  return storage.getOrder(phone, id);
 }
 
-function getOrdersFilePath(phone) {
-  return path.join(hotelConfig.databaseDir, `orders_${phone}.json`);
-}
+// The guest's orders during their current stay, oldest first
+function findGuestOrders(phone, guestNumber) {
+  return storage.getGuestOrders(phone, guestNumber, getStayStart(phone, guestNumber));
+}
+
+// "This stay" starts at check-in; guests who were never checked in get a fixed look-back window
+function getStayStart(phone, guestNumber) {
+  const stay = findLatestStay(phone, guestNumber);
+  return stay ? stay.checkInAt : new Date(Date.now() - hotelConfig.stayLookbackMs).toISOString();
+}
+
+function addOrder(phone, order) {
+  storage.insertOrder(phone, order);
+}
+
+function updateOrder(phone, order) {
+  return storage.updateOrder(phone, order);
+}
+
+function removeOrder(phone, id) {
+  return storage.deleteOrder(phone, id);
+}
+
+/**
+ * Rooms and stays
+ *
+ * A hotel's room registry is a list of { number, type }. Once a hotel has
+ * listed its rooms guests can only order to one of them; an empty registry
+ * keeps accepting any room number.
+ *
+ * Checking a guest in binds their WhatsApp number to a room for a stay:
+ * { id, room, guestNumber, guestName, checkInAt, expectedCheckOutAt,
+ *   checkedOutAt, status: 'active' | 'checked_out', checkedInBy, checkedOutBy }
+ * While the stay is on the bot fills in the room by itself. Once the guest
+ * has checked out, or check-out time has passed, it stops taking orders.
+ */
+const roomNumberPattern = /^[A-Za-z0-9-]{1,10}$/;
+
+function loadRooms(phone) {
+  return storage.getRooms(phone);
+}
+
+function saveRooms(phone, rooms) {
+  storage.setRooms(phone, rooms);
+}
+
+function isKnownRoom(phone, room) {
+  const rooms = loadRooms(phone);
+  return rooms.length === 0 || rooms.some(r => r.number === String(room).trim());
+}
+
+// "101", 101 or { number: "101", type: "Deluxe" } -> { number, type }, or null if invalid
+function normalizeRoom(room) {
+  const source = typeof room === 'object' && room !== null ? room : { number: room };
+  const number = typeof source.number === 'number' ? String(source.number) : source.number;
+  if (typeof number !== 'string' || !roomNumberPattern.test(number.trim())) return null;
+
+  return {
+    number: number.trim(),
+    type: typeof source.type === 'string' && source.type.trim() ? source.type.trim() : null
+  };
+}
+
+// Staff type numbers like "+91 98765 43210"; the bot sees "919876543210@c.us"
+function normalizeGuestNumber(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const text = String(value).trim();
+  if (text.includes('@')) return text;
+
+  const digits = text.replace(/\D/g, '');
+  return digits.length >= 6 ? `${digits}@c.us` : null;
+}
+
+// ISO time of a clock time like "2:00 PM" on a hotel-local "YYYY-MM-DD" day
+function localDayTime(day, clockTime, timezone) {
+  const start = new Date(localDayStart(day, timezone));
+  return new Date(start.getTime() + parseClockTime(clockTime) * 60000).toISOString();
+}
+
+function isStayActive(stay, now = new Date().toISOString()) {
+  return stay.status === 'active' && stay.checkInAt <= now && now < stay.expectedCheckOutAt;
+}
+
+// The guest's most recent stay that has started, whether or not it is still on
+function findLatestStay(phone, guestNumber) {
+  const now = new Date().toISOString();
+  const started = storage.getGuestStays(phone, guestNumber).filter(stay => stay.checkInAt <= now);
+  return started[started.length - 1] || null;
+}
+
+function findCurrentStay(phone, guestNumber) {
+  const stay = findLatestStay(phone, guestNumber);
+  return stay && isStayActive(stay) ? stay : null;
+}
+
+/**
+ * Pricing
+ *
+ * Per-hotel rules applied to every order, from WhatsApp or the dashboard
+ * (hotel.pricing):
+ * {
+ *   serviceChargePercent: 10,
+ *   taxes: [{ name: "GST", percent: 5, categories: ["roomService"] }],
+ *   discounts: [{ name: "Happy hour", percent: 20, categories: ["bar"], hours: "Mon-Fri 5 PM - 7 PM" }],
+ *   promoCodes: [{ code: "WELCOME10", percent: 10 }, { code: "FLAT100", amount: 100, minSubtotal: 500, validUntil: "2026-12-31" }]
+ * }
+ * Rules without categories cover every item; discount hours use the menu
+ * hours format. Each item gets the best discount running at the time, then
+ * a promo code comes off what is left. Service charge is added to the
+ * discounted amount and taxes are charged on the discounted amount plus
+ * service charge. The breakdown is stored on the order as order.pricing.
+ */
+const defaultPricingRules = { serviceChargePercent: 0, taxes: [], discounts: [], promoCodes: [] };
+const promoCodePattern = /^[A-Z0-9_-]{3,20}$/;
+
+function getPricingRules(phone) {
+  const hotel = loadHotels().find(h => h.phone === phone);
+  return (hotel && hotel.pricing) || defaultPricingRules;
+}
+
+function validatePricingRules(rules) {
+  const errors = [];
+  const isPercent = value => typeof value === 'number' && value >= 0 && value <= 100;
+  const isName = value => typeof value === 'string' && value.trim() && value.length <= 30;
+  const checkCategories = (rule, label) => {
+    if (rule.categories !== undefined && (!Array.isArray(rule.categories) || !rule.categories.every(c => typeof c === 'string'))) {
+      errors.push(`${label}: categories must be a list of menu categories.`);
+    }
+  };
+  const checkList = (list, name) => {
+    if (!Array.isArray(list) || list.length > 20) {
+      errors.push(`${name} must be a list of at most 20 entries.`);
+      return [];
+    }
+    return list.map(entry => entry && typeof entry === 'object' ? entry : {});
+  };
+
+  if (!rules || typeof rules !== 'object') return ['Pricing rules must be an object.'];
+  if (!isPercent(rules.serviceChargePercent)) {
+    errors.push('serviceChargePercent must be a number from 0 to 100.');
+  }
+
+  checkList(rules.taxes, 'taxes').forEach((tax, index) => {
+    const label = `Tax ${index + 1}`;
+    if (!isName(tax.name)) errors.push(`${label} needs a name of up to 30 characters.`);
+    if (!isPercent(tax.percent)) errors.push(`${label} needs a percent from 0 to 100.`);
+    checkCategories(tax, label);
+  });
+
+  checkList(rules.discounts, 'discounts').forEach((discount, index) => {
+    const label = `Discount ${index + 1}`;
+    if (!isName(discount.name)) errors.push(`${label} needs a name of up to 30 characters.`);
+    if (!isPercent(discount.percent)) errors.push(`${label} needs a percent from 0 to 100.`);
+    checkCategories(discount, label);
+    if (discount.hours !== undefined && !parseHoursSchedule(discount.hours)) {
+      errors.push(`${label}: hours should look like "Mon-Fri 5 PM - 7 PM".`);
+    }
+  });
+
+  const codes = new Set();
+  checkList(rules.promoCodes, 'promoCodes').forEach((promo, index) => {
+    const label = `Promo code ${index + 1}`;
+    if (typeof promo.code !== 'string' || !promoCodePattern.test(promo.code)) {
+      errors.push(`${label} needs a code of 3-20 capital letters, digits, dashes or underscores.`);
+    } else if (codes.has(promo.code)) {
+      errors.push(`${label}: ${promo.code} is listed more than once.`);
+    }
+    codes.add(promo.code);
+
+    if ((promo.percent === undefined) === (promo.amount === undefined)) {
+      errors.push(`${label} needs either a percent or an amount.`);
+    } else if (promo.percent !== undefined ? !isPercent(promo.percent) : !(typeof promo.amount === 'number' && promo.amount > 0)) {
+      errors.push(`${label} has an invalid ${promo.percent !== undefined ? 'percent' : 'amount'}.`);
+    }
+    if (promo.minSubtotal !== undefined && !(typeof promo.minSubtotal === 'number' && promo.minSubtotal >= 0)) {
+      errors.push(`${label}: minSubtotal must be a positive number.`);
+    }
+    if (promo.validUntil !== undefined && !datePattern.test(promo.validUntil)) {
+      errors.push(`${label}: validUntil must be a date like 2024-01-31.`);
+    }
+  });
+
+  return errors;
+}
+
+function findPromoCode(phone, code) {
+  const wanted = String(code).trim().toUpperCase();
+  return getPricingRules(phone).promoCodes.find(promo => promo.code === wanted) || null;
+}
+
+// Why a promo code can't be used on an order of `amount` right now, or null.
+// Pass a null amount to skip the minimum order check.
+function promoCodeProblem(phone, code, amount, date = new Date(), language = 'en') {
+  const promo = findPromoCode(phone, code);
+  if (!promo) return phrase(language, 'promoInvalid', { code: String(code).trim().toUpperCase() });
+  if (promo.validUntil && localDateKey(date, getHotelTimezone(phone)) > promo.validUntil) {
+    return phrase(language, 'promoExpired', { code: promo.code });
+  }
+  if (promo.minSubtotal && amount !== null && amount < promo.minSubtotal) {
+    return phrase(language, 'promoMinimum', { code: promo.code, amount: formatPrice(promo.minSubtotal, loadMenuConfig(phone).currency) });
+  }
+  return null;
+}
+
+/**
+ * Works out an order's pricing from its items (as stored on orders).
+ * Promo codes that can't be used are left out; check promoCodeProblem
+ * first to tell the guest why. `date` decides which discounts are running.
+ */
+function priceOrder(phone, items, { promoCode = null, date = new Date() } = {}) {
+  const rules = getPricingRules(phone);
+  const localTime = getLocalTime(getHotelTimezone(phone), date);
+  const covers = (rule, item) => !rule.categories || rule.categories.length === 0 || rule.categories.includes(item.category);
+  const discounts = new Map();
+
+  const lines = items.map(item => {
+    const amount = item.subtotal ?? (item.price || 0) * (item.quantity || 1);
+    const best = rules.discounts
+      .filter(discount => covers(discount, item) && (!discount.hours || isScheduleOpen(parseHoursSchedule(discount.hours), localTime)))
+      .sort((a, b) => b.percent - a.percent)[0];
+
+    const off = best ? roundTo(amount * best.percent / 100) : 0;
+    if (off > 0) discounts.set(best.name, roundTo((discounts.get(best.name) || 0) + off));
+    return { item, amount, net: amount - off };
+  });
+
+  const subtotal = roundTo(lines.reduce((sum, line) => sum + line.amount, 0));
+  let net = roundTo(lines.reduce((sum, line) => sum + line.net, 0));
+
+  // The promo comes off every line in proportion, so taxes see the discounted amounts
+  const promo = promoCode && !promoCodeProblem(phone, promoCode, net, date) ? findPromoCode(phone, promoCode) : null;
+  if (promo && net > 0) {
+    const off = roundTo(promo.percent !== undefined ? net * promo.percent / 100 : Math.min(promo.amount, net));
+    lines.forEach(line => { line.net -= line.net * off / net; });
+    discounts.set(`Promo ${promo.code}`, off);
+    net = roundTo(net - off);
+  }
+
+  const serviceCharge = roundTo(net * rules.serviceChargePercent / 100);
+  const taxes = rules.taxes
+    .map(tax => {
+      const taxable = lines.filter(line => covers(tax, line.item)).reduce((sum, line) => sum + line.net, 0);
+      return {
+        name: tax.name,
+        percent: tax.percent,
+        amount: roundTo(taxable * (1 + rules.serviceChargePercent / 100) * tax.percent / 100)
+      };
+    })
+    .filter(tax => tax.amount > 0);
+
+  return {
+    subtotal,
+    discounts: [...discounts].map(([name, amount]) => ({ name, amount })),
+    promoCode: promo ? promo.code : null,
+    serviceCharge: { percent: rules.serviceChargePercent, amount: serviceCharge },
+    taxes,
+    total: roundTo(net + serviceCharge + taxes.reduce((sum, tax) => sum + tax.amount, 0))
+  };
+}
+
+// Orders from before pricing rules are just their items
+function orderPricing(order) {
+  return order.pricing || {
+    subtotal: orderTotal(order),
+    discounts: [],
+    promoCode: null,
+    serviceCharge: { percent: 0, amount: 0 },
+    taxes: [],
+    total: orderTotal(order)
+  };
+}
+
+// Adds several orders' pricing together, e.g. for a bill
+function combinePricing(pricings) {
+  const sumBy = (entries, key) => {
+    const totals = new Map();
+    entries.forEach(entry => {
+      const id = key(entry);
+      totals.set(id, { ...entry, amount: roundTo(((totals.get(id) || {}).amount || 0) + entry.amount) });
+    });
+    return [...totals.values()];
+  };
+  const serviceRates = new Set(pricings.filter(p => p.serviceCharge.amount > 0).map(p => p.serviceCharge.percent));
+
+  return {
+    subtotal: roundTo(pricings.reduce((sum, p) => sum + p.subtotal, 0)),
+    discounts: sumBy(pricings.flatMap(p => p.discounts), discount => discount.name),
+    serviceCharge: {
+      percent: serviceRates.size === 1 ? [...serviceRates][0] : null,
+      amount: roundTo(pricings.reduce((sum, p) => sum + p.serviceCharge.amount, 0))
+    },
+    taxes: sumBy(pricings.flatMap(p => p.taxes), tax => `${tax.name}@${tax.percent}`),
+    total: roundTo(pricings.reduce((sum, p) => sum + p.total, 0))
+  };
+}
+
+// Lines for order summaries and bills; just the total when no rules applied
+function formatPricingLines(pricing, currency, language = 'en') {
+  const money = amount => formatPrice(amount, currency);
+  const lines = [];
+  const extras = pricing.discounts.length > 0 || pricing.serviceCharge.amount > 0 || pricing.taxes.length > 0;
+
+  if (extras) {
+    lines.push(`${phrase(language, 'subtotal')}: ${money(pricing.subtotal)}`);
+    pricing.discounts.forEach(discount => lines.push(`🏷 ${discount.name}: -${money(discount.amount)}`));
+    if (pricing.serviceCharge.amount > 0) {
+      const rate = pricing.serviceCharge.percent !== null ? ` (${pricing.serviceCharge.percent}%)` : '';
+      lines.push(`${phrase(language, 'serviceCharge')}${rate}: ${money(pricing.serviceCharge.amount)}`);
+    }
+    pricing.taxes.forEach(tax => lines.push(`${tax.name} (${tax.percent}%): ${money(tax.amount)}`));
+  }
+  lines.push(`💵 ${phrase(language, 'total')}: ${money(pricing.total)}`);
+  return lines;
+}
+
+/**
+ * Folios
+ *
+ * A stay's folio is its bill: every completed order charged to the stay,
+ * with their discounts, service charge and taxes added up. While the stay is
+ * open the folio is worked out from its orders; checkout freezes it onto
+ * stay.folio so later changes don't alter a settled bill.
+ */
+function buildFolio(phone, stay) {
+  const workflow = getOrderWorkflow(phone);
+  const orders = storage.getStayOrders(phone, stay.id)
+    .filter(order => workflow.statuses[order.status] && workflow.statuses[order.status].completed);
+
+  return {
+    stayId: stay.id,
+    room: stay.room,
+    guestName: stay.guestName,
+    guestNumber: stay.guestNumber,
+    checkInAt: stay.checkInAt,
+    checkOutAt: stay.checkedOutAt || stay.expectedCheckOutAt,
+    currency: loadMenuConfig(phone).currency,
+    orders: orders.map(order => ({
+      id: order.id,
+      at: order.timestamp,
+      items: order.items.map(item => ({
+        name: item.modifiers && item.modifiers.length > 0
+          ? `${item.name} (${item.modifiers.map(m => m.name).join(', ')})`
+          : item.name,
+        quantity: item.quantity,
+        amount: item.subtotal ?? (item.price || 0) * item.quantity
+      })),
+      total: orderTotal(order)
+    })),
+    ...combinePricing(orders.map(orderPricing)),
+    status: 'open',
+    closedAt: null,
+    closedBy: null
+  };
+}
+
+function getFolio(phone, stay) {
+  return stay.folio || buildFolio(phone, stay);
+}
+
+function closeFolio(phone, stay, by) {
+  stay.folio = { ...buildFolio(phone, stay), status: 'closed', closedAt: new Date().toISOString(), closedBy: by };
+  return stay.folio;
+}
+
+function formatFolioText(folio, phone, language = 'en') {
+  const money = amount => formatPrice(amount, folio.currency);
+  const lines = [`${phrase(language, 'billTitle', { room: folio.room })}${folio.status === 'closed' ? phrase(language, 'billFinal') : ''}`, ''];
+
+  if (folio.orders.length === 0) {
+    lines.push(phrase(language, 'billEmpty'));
+  }
+  for (const order of folio.orders) {
+    lines.push(`#${order.id} · ${formatOrderTime(phone, order.at, language)}`);
+    order.items.forEach(item => lines.push(`  ${item.quantity} x ${item.name} - ${money(item.amount)}`));
+  }
+
+  lines.push('', ...formatPricingLines(folio, folio.currency, language));
+  return lines.join('\n');
+}
+
+// The standard PDF fonts have no symbols like ₹, so amounts use the currency code
+function renderFolioPdf(folio, hotelName, phone) {
+  const money = amount => `${folio.currency} ${amount.toFixed(2)}`;
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  return new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(20).text(hotelName);
+    doc.fontSize(12).text(`Bill for Room ${folio.room}${folio.status === 'closed' ? '' : ' (provisional)'}`);
+    doc.moveDown();
+    doc.fontSize(10)
+      .text(`Guest: ${folio.guestName || folio.guestNumber.replace('@c.us', '')}`)
+      .text(`Check-in: ${formatOrderTime(phone, folio.checkInAt)}`)
+      .text(`Check-out: ${formatOrderTime(phone, folio.checkOutAt)}`);
+    doc.moveDown();
+
+    const row = (label, amount, options = {}) => {
+      const y = doc.y;
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').text(label, 50, y, { width: 380 });
+      doc.text(amount, 430, y, { width: 115, align: 'right' });
+      doc.font('Helvetica');
+    };
+
+    for (const order of folio.orders) {
+      doc.font('Helvetica-Bold').text(`Order #${order.id} - ${formatOrderTime(phone, order.at)}`).font('Helvetica');
+      order.items.forEach(item => row(`   ${item.quantity} x ${item.name}`, money(item.amount)));
+      doc.moveDown(0.5);
+    }
+    if (folio.orders.length === 0) {
+      doc.text('No charges.').moveDown(0.5);
+    }
+
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke().moveDown(0.5);
+    row('Subtotal', money(folio.subtotal));
+    folio.discounts.forEach(discount => row(discount.name, `-${money(discount.amount)}`));
+    if (folio.serviceCharge.amount > 0) {
+      const rate = folio.serviceCharge.percent !== null ? ` (${folio.serviceCharge.percent}%)` : '';
+      row(`Service charge${rate}`, money(folio.serviceCharge.amount));
+    }
+    folio.taxes.forEach(tax => row(`${tax.name} (${tax.percent}%)`, money(tax.amount)));
+    row('Total', money(folio.total), { bold: true });
+
+    doc.end();
+  });
+}
+
+// Itemised text in the guest's language, then the PDF
+async function sendFolio(client, phone, to, folio, hotelName, log) {
+  const language = guestLanguage(phone, to);
+  await safeSendMessage(client, phone, to, formatFolioText(folio, phone, language), undefined, log);
+
+  try {
+    const pdf = await renderFolioPdf(folio, hotelName, phone);
+    const media = new MessageMedia('application/pdf', pdf.toString('base64'), `bill-room-${folio.room}.pdf`);
+    await safeSendMessage(client, phone, to, media, { caption: phrase(language, 'billCaption', { room: folio.room }) }, log);
+  } catch (error) {
+    console.error(`❌ Failed to create bill PDF for ${phone}:`, error.message);
+  }
+}
+
+/**
+ * Languages
+ *
+ * Hotels pick the languages the bot speaks (hotel.languages =
+ * { enabled: ['en', 'hi'], default: 'en' }). A guest chooses one with
+ * "language hindi" / "भाषा हिंदी", or gets it from the first message they write
+ * in its script, and it is kept in their conversation state (state.language).
+ *
+ * Fixed replies come from botPhrases; the editable bot content templates have
+ * their own translations (see Bot content) and order status messages can be
+ * given per language in the order workflow. Menu items carry translated names
+ * and descriptions in item.translations.
+ */
+const supportedLanguages = {
+  en: { name: 'English', locale: 'en-US', aliases: ['english', 'eng', 'angrezi', 'अंग्रेज़ी', 'अंग्रेजी'] },
+  hi: {
+    name: 'हिन्दी',
+    locale: 'hi-IN',
+    aliases: ['hindi', 'हिंदी', 'हिन्दी'],
+    script: /[\u0900-\u097F]/,
+    weekdays: ['रविवार', 'सोमवार', 'मंगलवार', 'बुधवार', 'गुरुवार', 'शुक्रवार', 'शनिवार']
+  }
+};
+
+const defaultLanguageSettings = { enabled: ['en'], default: 'en' };
+
+// Words that decide what a guest's message is about, in every language we support.
+// order, menu, greeting, help and staff match anywhere in the message; yes and no only as whole words.
+const intentKeywords = {
+  en: {
+    order: ['order', 'get', 'like', 'have', 'bring me', 'want', 'need', "i'd like"],
+    menu: ['menu', 'food', 'what do you have', 'offer'],
+    greeting: ['hello', 'hi', 'hey', 'good'],
+    help: ['help'],
+    staff: ['talk to staff', 'speak to staff', 'talk to someone', 'speak to someone', 'talk to a human', 'speak to a human',
+      'real person', 'live chat', 'talk to reception', 'speak to reception'],
+    yes: ['yes', 'confirm', 'place order'],
+    no: ['no', 'cancel']
+  },
+  hi: {
+    order: ['chahiye', 'chaiye', 'bhejo', 'bhej do', 'mangwa', 'lao', 'dena', 'चाहिए', 'भेजो', 'भेज दो', 'लाओ', 'मंगवा'],
+    menu: ['khana', 'kya hai', 'मेनू', 'खाना', 'क्या है'],
+    greeting: ['namaste', 'namaskar', 'नमस्ते', 'नमस्कार'],
+    help: ['madad', 'sahayata', 'मदद', 'सहायता'],
+    staff: ['staff se baat', 'insaan se baat', 'kisi se baat', 'स्टाफ़ से बात', 'स्टाफ से बात', 'किसी से बात'],
+    yes: ['haan', 'han', 'haa', 'theek hai', 'thik hai', 'हाँ', 'हां', 'ठीक है', 'ऑर्डर करो'],
+    no: ['nahi', 'nahin', 'mat', 'नहीं', 'नही', 'मत', 'रद्द']
+  }
+};
+
+const botPhrases = {
+  en: {
+    pickNumber: 'Please reply with a number from 1 to {count}.',
+    optionsHint: 'Reply with a number, e.g. "1" for {option}.',
+    chatReset: '🔄 Chat reset. How may I assist you today?',
+    languageChoice: '🌐 Which language would you like me to use?',
+    languageTitle: 'Language',
+    languageButton: 'Select a language',
+    languageSet: "🌐 OK, I'll reply in English from now on.",
+    languageUnavailable: "Sorry, I can't reply in {language} here. I can use {languages}.",
+    languageOnly: 'I can only chat in {languages} here.',
+    languageHint: '🌐 Type "language" to chat in {languages}.',
+    helpOptions: '🆘 How can we help you?',
+    helpTitle: 'Hotel Help',
+    helpButton: 'Select a service',
+    helpReception: '📞 Reception',
+    helpAmenities: '🏊‍♂️ Amenities',
+    helpRoom: '🛌 Room Help',
+    helpStaff: '💬 Talk to staff',
+    serviceOptions: "🛌 What do you need? You can also just tell me, e.g. 'extra towels' or 'AC not working'.",
+    serviceButton: 'Select a request',
+    menuOptions: '📋 Please select whatever u like to order from the menu:',
+    menuTitle: 'Menu',
+    menuButton: 'Select Category',
+    categoryNotFound: "Sorry, I couldn't find that menu category.",
+    categoryClosed: '⏰ {category} is closed right now - it {opening}.\n\nType "menu" to see what you can order now.',
+    categoryMenu: '🍽 {category} Menu (Available: {hours}):',
+    categoryHowToOrder: 'To order, just message: "Room [your number], [item name]"\nExample: "Room 105, 2 pizzas"',
+    fullMenu: '🍽 {hotelName} Menu',
+    fullMenuClosed: '⏰ {category} ({hours}) - closed now, {opening}',
+    fullMenuHowToOrder: 'To order, just message: "Room [your number], [your order]"\nExample: "Room 105, 2 pizzas and 1 coffee"\n\nYou can also browse specific categories below:',
+    opensToday: 'opens today at {time}',
+    opensTomorrow: 'opens tomorrow at {time}',
+    opensOn: 'opens on {day} at {time}',
+    notOpenThisWeek: 'is not open this week',
+    cartEmpty: "🛒 Your cart is empty. Tell me what you'd like, e.g. '2 pizzas', or type 'menu'.",
+    cartCleared: '🗑 Your cart has been cleared. What would you like to order?',
+    cartNowEmpty: '🛒 Your cart is now empty. What would you like to order?',
+    notOnMenu: "I couldn't find that on our menu. Type 'menu' to see what's available.",
+    notInCart: "That item isn't in your cart. Type 'cart' to see what you have.",
+    whichItem: "Which item should I change? For example: 'make it 3 pasta'.",
+    didYouMean: '🤔 Did you mean:\n{options}\n\nReply with the number, or type the full name.',
+    itemsClosed: "⏰ Sorry, {items} can't be ordered right now - {category} {opening}.",
+    stayEnded: "🧳 Your stay with us has ended, so we can't take new orders or requests on this number. If you're still staying with us, please contact reception.",
+    roomFromStay: "🏨 You're checked in to room {room}, so your orders go there. Please contact reception if that's not right.",
+    unknownRoom: "❌ Sorry, {room} isn't one of our room numbers. Please check it and send it again.",
+    roomNoted: '✅ Room {room} noted. What would you like to order?',
+    roomNotedForRequest: '✅ Room {room} noted.',
+    askRoom: "I'd be happy to help with your order! 🍽️\n\nCould you please tell me your room number first? (Example: 'Room 105' or just '105')",
+    askItems: "What would you like to order from our menu? You can say something like '2 pizzas and 1 coffee' or type 'menu' to see options.",
+    itemUnavailable: '😔 Sorry, {items} is not available right now.',
+    itemsUnavailable: '😔 Sorry, {items} are not available right now.',
+    chooseSomethingElse: "Please choose something else from the menu. Type 'menu' to see what's available.",
+    menuHint: "Type 'menu' to see what you can order right now.",
+    orderSummary: "📋 Order Summary:\n\n🏨 Room: {room}\n🍽 Items:\n{items}\n{total}{note}\n\nShould I place this order? Please reply 'yes' to confirm or 'no' to cancel.\n\n✏️ To change it: 'add 1 coffee', 'remove pizza', 'make it 2 pasta' or 'clear cart'.",
+    orderChangesSummary: "📋 Updated Order #{orderId}:\n\n🏨 Room: {room}\n🍽 Items:\n{items}\n{total}{note}\n\nShould I update your order? Please reply 'yes' to confirm or 'no' to keep it as it was.\n\n✏️ To change it: 'add 1 coffee', 'remove pizza', 'make it 2 pasta' or 'clear cart'.",
+    changesDiscarded: 'Changes discarded - order #{orderId} is unchanged.',
+    orderDiscarded: 'Order cancelled. Please place a new order when ready.',
+    confirmUnclear: "I didn't understand your response. Please reply 'yes' to confirm your order or 'no' to cancel.",
+    needRoom: '❌ Sorry, I need your room number to place the order. Please provide your room number first.',
+    needItems: '❌ Sorry, I need order items to place your order.',
+    subtotal: 'Subtotal',
+    serviceCharge: 'Service charge',
+    total: 'Total',
+    promoInvalid: "Sorry, {code} isn't a valid promo code.",
+    promoExpired: 'Sorry, promo code {code} has expired.',
+    promoMinimum: 'Promo code {code} needs an order of at least {amount}.',
+    promoRemoved: '🏷 Promo code {code} removed.',
+    noPromo: "You don't have a promo code applied.",
+    promoApplied: '🏷 Promo code {code} applied: {saving}.',
+    promoAppliedNext: '🏷 Promo code {code} applied: {saving} your next order.',
+    promoSaving: '{amount} off',
+    rateOrder: '⭐ How was order #{orderId}? Please rate it from 1 to 5.',
+    rateTitle: 'Rate your order',
+    rateButton: 'Rate',
+    ratingLabels: 'Poor|Fair|Good|Very good|Excellent',
+    ratingThanks: '⭐ Thanks for rating us {score} stars! Anything you\'d like to tell us about the order? Just type it here, or reply "skip".',
+    commentSkipped: '👍 No problem. Thanks again for your feedback!',
+    commentThanks: "🙏 Thank you, we've passed your comments on to the team.",
+    orderNotFound: 'I couldn\'t find order #{orderId} for you. Type "my orders" to see your orders.',
+    orderDetails: '📦 Order #{orderId}: *{status}*\n\n🏨 Room: {room}\n🍽 Items:\n{items}\n{total}\n🕒 Placed: {placed}',
+    orderLastUpdate: '🔄 Updated: {time}',
+    noOrders: "You haven't placed any orders during this stay. Send me what you'd like, or type 'menu'.",
+    orderList: '📦 Your orders ({count}):',
+    olderOrders: '…and {count} older order(s).',
+    orderListHint: 'Type "status #<order id>" for details of one order.',
+    noStay: "🧾 I couldn't find a stay for this number. Please ask reception for your bill.",
+    billTitle: '🧾 *Bill for Room {room}*',
+    billFinal: ' (final)',
+    billEmpty: 'No charges yet.',
+    billCaption: '🧾 Bill for Room {room}',
+    askWakeUpTime: "⏰ What time should we call you? (Example: '6:30 AM')",
+    askRepairDetails: "🔧 What needs fixing? (Example: 'AC not cooling' or 'no hot water')",
+    askRoomForRequest: "Sure! Could you please tell me your room number first? (Example: 'Room 105' or just '105')",
+    requestDropped: "👍 OK, I've dropped that request.",
+    requestTimeUnclear: "Sorry, I didn't catch the time. Please send it like '6:30 AM', or 'cancel'.",
+    requestAt: '{request} at {time}',
+    noRequests: "You haven't made any requests during this stay. Just tell me what you need, e.g. 'extra towels' or 'AC not working'.",
+    requestList: '🛎 Your requests ({count}):\n\n{requests}\n\nType "cancel request #<id>" to cancel one that hasn\'t been started.',
+    requestNotFound: 'I couldn\'t find request #{requestId} for you. Type "my requests" to see your requests.',
+    noOpenRequests: "You don't have any open requests.",
+    requestNotCancellable: "Request #{requestId} is already {status}, so it can't be cancelled here. Please contact reception.",
+    requestCancelledByGuest: '👍 Request #{requestId} ({request}) cancelled.',
+    orderToChangeNotFound: 'I couldn\'t find order #{orderId} for you. Type "status" to see your latest order.',
+    noRecentOrder: "You don't have a recent order to change. Send me what you'd like to order!",
+    orderNotCancellable: "😔 Order #{orderId} is already {status}, so it can't be cancelled here. Please contact reception for help.",
+    orderNotChangeable: "😔 Order #{orderId} is already {status}, so it can't be changed here. Please contact reception for help.",
+    editingOrder: "✏️ Editing order #{orderId}. Add, remove or change items, then reply 'yes' to update it.",
+    cancelNotAllowed: "😔 Order #{orderId} can't be cancelled from WhatsApp. Please contact reception for help.",
+    orderMovedOn: "😔 Order #{orderId} is already {status}, so it can't be changed. Reply 'yes' to place these items as a new order, or 'no' to discard them.",
+    orderGone: "😔 That order no longer exists, so it can't be changed. Reply 'yes' to place these items as a new order, or 'no' to discard them.",
+    noReason: 'no reason given',
+    handoffStarted: "👤 I've asked our staff to join this chat. They'll reply here shortly.",
+    handoffJoined: '👤 A member of our staff has joined this chat.',
+    handoffEnded: "🤖 You're back with the virtual assistant. Type \"help\" to see what I can do."
+  },
+  hi: {
+    pickNumber: 'कृपया 1 से {count} तक कोई नंबर भेजें।',
+    optionsHint: 'कृपया नंबर भेजें, जैसे {option} के लिए "1"।',
+    chatReset: '🔄 बातचीत फिर से शुरू हो गई है। मैं आपकी क्या मदद कर सकता हूँ?',
+    languageChoice: '🌐 आप किस भाषा में बात करना चाहेंगे?',
+    languageTitle: 'भाषा',
+    languageButton: 'भाषा चुनें',
+    languageSet: '🌐 ठीक है, अब से मैं हिन्दी में जवाब दूँगा।',
+    languageUnavailable: 'माफ़ कीजिए, यहाँ {language} में जवाब नहीं दिया जा सकता। उपलब्ध भाषाएँ: {languages}।',
+    languageOnly: 'यहाँ केवल {languages} में बात हो सकती है।',
+    languageHint: '🌐 {languages} में बात करने के लिए "भाषा" लिखें।',
+    helpOptions: '🆘 हम आपकी क्या मदद कर सकते हैं?',
+    helpTitle: 'होटल सहायता',
+    helpButton: 'सेवा चुनें',
+    helpReception: '📞 रिसेप्शन',
+    helpAmenities: '🏊‍♂️ सुविधाएँ',
+    helpRoom: '🛌 कमरे में सहायता',
+    helpStaff: '💬 स्टाफ़ से बात करें',
+    serviceOptions: "🛌 आपको क्या चाहिए? आप सीधे भी लिख सकते हैं, जैसे 'extra towels' या 'AC not working'।",
+    serviceButton: 'अनुरोध चुनें',
+    menuOptions: '📋 कृपया मेनू में से वह श्रेणी चुनें जिससे आप ऑर्डर करना चाहते हैं:',
+    menuTitle: 'मेनू',
+    menuButton: 'श्रेणी चुनें',
+    categoryNotFound: 'माफ़ कीजिए, यह मेनू श्रेणी नहीं मिली।',
+    categoryClosed: '⏰ {category} अभी बंद है - यह {opening}।\n\nअभी क्या ऑर्डर कर सकते हैं, यह देखने के लिए "menu" लिखें।',
+    categoryMenu: '🍽 {category} मेनू (समय: {hours}):',
+    categoryHowToOrder: 'ऑर्डर करने के लिए बस लिखें: "Room [आपका कमरा नंबर], [आइटम का नाम]"\nउदाहरण: "Room 105, 2 pizza"',
+    fullMenu: '🍽 {hotelName} मेनू',
+    fullMenuClosed: '⏰ {category} ({hours}) - अभी बंद है, {opening}',
+    fullMenuHowToOrder: 'ऑर्डर करने के लिए बस लिखें: "Room [आपका कमरा नंबर], [आपका ऑर्डर]"\nउदाहरण: "Room 105, 2 pizza aur 1 coffee"\n\nआप नीचे से कोई श्रेणी भी देख सकते हैं:',
+    opensToday: 'आज {time} बजे खुलेगा',
+    opensTomorrow: 'कल {time} बजे खुलेगा',
+    opensOn: '{day} को {time} बजे खुलेगा',
+    notOpenThisWeek: 'इस हफ़्ते नहीं खुलेगा',
+    cartEmpty: "🛒 आपकी कार्ट खाली है। बताइए आपको क्या चाहिए, जैसे '2 pizza', या 'menu' लिखें।",
+    cartCleared: '🗑 आपकी कार्ट खाली कर दी गई है। आप क्या ऑर्डर करना चाहेंगे?',
+    cartNowEmpty: '🛒 आपकी कार्ट अब खाली है। आप क्या ऑर्डर करना चाहेंगे?',
+    notOnMenu: "यह हमारे मेनू में नहीं मिला। क्या उपलब्ध है, यह देखने के लिए 'menu' लिखें।",
+    notInCart: "यह आइटम आपकी कार्ट में नहीं है। कार्ट देखने के लिए 'cart' लिखें।",
+    whichItem: "कौन सा आइटम बदलना है? उदाहरण: 'make it 3 pasta'।",
+    didYouMean: '🤔 क्या आपका मतलब था:\n{options}\n\nनंबर भेजें, या पूरा नाम लिखें।',
+    itemsClosed: '⏰ माफ़ कीजिए, {items} अभी ऑर्डर नहीं किया जा सकता - {category} {opening}।',
+    stayEnded: '🧳 आपका ठहराव समाप्त हो चुका है, इसलिए इस नंबर से नए ऑर्डर या अनुरोध नहीं लिए जा सकते। अगर आप अभी भी हमारे यहाँ ठहरे हैं, तो कृपया रिसेप्शन से संपर्क करें।',
+    roomFromStay: '🏨 आप कमरा {room} में चेक-इन हैं, इसलिए आपके ऑर्डर वहीं आएँगे। अगर यह सही नहीं है तो कृपया रिसेप्शन से संपर्क करें।',
+    unknownRoom: '❌ माफ़ कीजिए, {room} हमारे कमरों में से नहीं है। कृपया नंबर जाँचकर फिर से भेजें।',
+    roomNoted: '✅ कमरा {room} नोट कर लिया। आप क्या ऑर्डर करना चाहेंगे?',
+    roomNotedForRequest: '✅ कमरा {room} नोट कर लिया।',
+    askRoom: "आपका ऑर्डर लेकर खुशी होगी! 🍽️\n\nकृपया पहले अपना कमरा नंबर बताइए। (उदाहरण: 'Room 105' या सिर्फ़ '105')",
+    askItems: "आप हमारे मेनू से क्या ऑर्डर करना चाहेंगे? आप '2 pizza aur 1 coffee' जैसा कुछ लिख सकते हैं, या विकल्प देखने के लिए 'menu' लिखें।",
+    itemUnavailable: '😔 माफ़ कीजिए, {items} अभी उपलब्ध नहीं है।',
+    itemsUnavailable: '😔 माफ़ कीजिए, {items} अभी उपलब्ध नहीं हैं।',
+    chooseSomethingElse: "कृपया मेनू से कुछ और चुनें। क्या उपलब्ध है, यह देखने के लिए 'menu' लिखें।",
+    menuHint: "अभी क्या ऑर्डर कर सकते हैं, यह देखने के लिए 'menu' लिखें।",
+    orderSummary: "📋 ऑर्डर सारांश:\n\n🏨 कमरा: {room}\n🍽 आइटम:\n{items}\n{total}{note}\n\nक्या मैं यह ऑर्डर कर दूँ? पुष्टि के लिए 'हाँ' या 'yes' लिखें, रद्द करने के लिए 'नहीं' या 'no'।\n\n✏️ बदलने के लिए: 'add 1 coffee', 'remove pizza', 'make it 2 pasta' या 'clear cart'।",
+    orderChangesSummary: "📋 बदला हुआ ऑर्डर #{orderId}:\n\n🏨 कमरा: {room}\n🍽 आइटम:\n{items}\n{total}{note}\n\nक्या मैं आपका ऑर्डर अपडेट कर दूँ? पुष्टि के लिए 'हाँ' या 'yes' लिखें, पहले जैसा रखने के लिए 'नहीं' या 'no'।\n\n✏️ बदलने के लिए: 'add 1 coffee', 'remove pizza', 'make it 2 pasta' या 'clear cart'।",
+    changesDiscarded: 'बदलाव हटा दिए गए - ऑर्डर #{orderId} पहले जैसा है।',
+    orderDiscarded: 'ऑर्डर रद्द कर दिया गया। जब चाहें नया ऑर्डर दें।',
+    confirmUnclear: "माफ़ कीजिए, मैं समझ नहीं पाया। ऑर्डर की पुष्टि के लिए 'हाँ' या रद्द करने के लिए 'नहीं' लिखें।",
+    needRoom: '❌ माफ़ कीजिए, ऑर्डर के लिए आपका कमरा नंबर चाहिए। कृपया पहले अपना कमरा नंबर बताइए।',
+    needItems: '❌ माफ़ कीजिए, ऑर्डर के लिए आइटम चाहिए।',
+    subtotal: 'उप-योग',
+    serviceCharge: 'सर्विस चार्ज',
+    total: 'कुल',
+    promoInvalid: 'माफ़ कीजिए, {code} मान्य प्रोमो कोड नहीं है।',
+    promoExpired: 'माफ़ कीजिए, प्रोमो कोड {code} की अवधि समाप्त हो चुकी है।',
+    promoMinimum: 'प्रोमो कोड {code} के लिए कम से कम {amount} का ऑर्डर होना चाहिए।',
+    promoRemoved: '🏷 प्रोमो कोड {code} हटा दिया गया।',
+    noPromo: 'आपने कोई प्रोमो कोड नहीं लगाया है।',
+    promoApplied: '🏷 प्रोमो कोड {code} लगा दिया गया: {saving}।',
+    promoAppliedNext: '🏷 प्रोमो कोड {code} लगा दिया गया: आपके अगले ऑर्डर पर {saving}।',
+    promoSaving: '{amount} की छूट',
+    rateOrder: '⭐ ऑर्डर #{orderId} कैसा लगा? कृपया 1 से 5 के बीच रेटिंग दें।',
+    rateTitle: 'अपने ऑर्डर को रेट करें',
+    rateButton: 'रेट करें',
+    ratingLabels: 'खराब|ठीक-ठाक|अच्छा|बहुत अच्छा|बेहतरीन',
+    ratingThanks: '⭐ {score} स्टार देने के लिए धन्यवाद! ऑर्डर के बारे में कुछ कहना चाहेंगे? यहीं लिखें, या "skip" भेजें।',
+    commentSkipped: '👍 कोई बात नहीं। आपकी राय के लिए फिर से धन्यवाद!',
+    commentThanks: '🙏 धन्यवाद, आपकी बात हमने टीम तक पहुँचा दी है।',
+    orderNotFound: 'ऑर्डर #{orderId} नहीं मिला। अपने ऑर्डर देखने के लिए "my orders" लिखें।',
+    orderDetails: '📦 ऑर्डर #{orderId}: *{status}*\n\n🏨 कमरा: {room}\n🍽 आइटम:\n{items}\n{total}\n🕒 ऑर्डर किया: {placed}',
+    orderLastUpdate: '🔄 अपडेट: {time}',
+    noOrders: "इस ठहराव में आपने अभी तक कोई ऑर्डर नहीं दिया है। बताइए आपको क्या चाहिए, या 'menu' लिखें।",
+    orderList: '📦 आपके ऑर्डर ({count}):',
+    olderOrders: '…और {count} पुराने ऑर्डर।',
+    orderListHint: 'किसी एक ऑर्डर की जानकारी के लिए "status #<order id>" लिखें।',
+    noStay: '🧾 इस नंबर पर कोई ठहराव नहीं मिला। कृपया अपना बिल रिसेप्शन से लें।',
+    billTitle: '🧾 *कमरा {room} का बिल*',
+    billFinal: ' (अंतिम)',
+    billEmpty: 'अभी तक कोई शुल्क नहीं।',
+    billCaption: '🧾 कमरा {room} का बिल',
+    askWakeUpTime: "⏰ हम आपको कितने बजे कॉल करें? (उदाहरण: '6:30 AM')",
+    askRepairDetails: "🔧 क्या ठीक करना है? (उदाहरण: 'AC not cooling' या 'no hot water')",
+    askRoomForRequest: "ज़रूर! कृपया पहले अपना कमरा नंबर बताइए। (उदाहरण: 'Room 105' या सिर्फ़ '105')",
+    requestDropped: '👍 ठीक है, वह अनुरोध हटा दिया।',
+    requestTimeUnclear: "माफ़ कीजिए, समय समझ नहीं आया। कृपया '6:30 AM' जैसे लिखें, या 'cancel' भेजें।",
+    requestAt: '{request}, {time}',
+    noRequests: "इस ठहराव में आपने अभी तक कोई अनुरोध नहीं किया है। बस बताइए आपको क्या चाहिए, जैसे 'extra towels' या 'AC not working'।",
+    requestList: '🛎 आपके अनुरोध ({count}):\n\n{requests}\n\nजो अनुरोध शुरू नहीं हुआ है उसे रद्द करने के लिए "cancel request #<id>" लिखें।',
+    requestNotFound: 'अनुरोध #{requestId} नहीं मिला। अपने अनुरोध देखने के लिए "my requests" लिखें।',
+    noOpenRequests: 'आपका कोई खुला अनुरोध नहीं है।',
+    requestNotCancellable: 'अनुरोध #{requestId} पहले से {status} है, इसलिए इसे यहाँ से रद्द नहीं किया जा सकता। कृपया रिसेप्शन से संपर्क करें।',
+    requestCancelledByGuest: '👍 अनुरोध #{requestId} ({request}) रद्द कर दिया गया।',
+    orderToChangeNotFound: 'ऑर्डर #{orderId} नहीं मिला। अपना पिछला ऑर्डर देखने के लिए "status" लिखें।',
+    noRecentOrder: 'बदलने के लिए आपका कोई हाल का ऑर्डर नहीं है। बताइए आप क्या ऑर्डर करना चाहेंगे!',
+    orderNotCancellable: '😔 ऑर्डर #{orderId} पहले से {status} है, इसलिए इसे यहाँ से रद्द नहीं किया जा सकता। मदद के लिए कृपया रिसेप्शन से संपर्क करें।',
+    orderNotChangeable: '😔 ऑर्डर #{orderId} पहले से {status} है, इसलिए इसे यहाँ से बदला नहीं जा सकता। मदद के लिए कृपया रिसेप्शन से संपर्क करें।',
+    editingOrder: "✏️ ऑर्डर #{orderId} बदला जा रहा है। आइटम जोड़ें, हटाएँ या बदलें, फिर अपडेट करने के लिए 'हाँ' लिखें।",
+    cancelNotAllowed: '😔 ऑर्डर #{orderId} WhatsApp से रद्द नहीं किया जा सकता। मदद के लिए कृपया रिसेप्शन से संपर्क करें।',
+    orderMovedOn: "😔 ऑर्डर #{orderId} पहले से {status} है, इसलिए इसे बदला नहीं जा सकता। इन आइटम का नया ऑर्डर देने के लिए 'हाँ' लिखें, या हटाने के लिए 'नहीं'।",
+    orderGone: "😔 वह ऑर्डर अब मौजूद नहीं है, इसलिए उसे बदला नहीं जा सकता। इन आइटम का नया ऑर्डर देने के लिए 'हाँ' लिखें, या हटाने के लिए 'नहीं'।",
+    noReason: 'कोई कारण नहीं बताया गया',
+    handoffStarted: '👤 मैंने हमारे स्टाफ़ को इस चैट में बुलाया है। वे जल्द ही यहाँ जवाब देंगे।',
+    handoffJoined: '👤 हमारे स्टाफ़ का एक सदस्य इस चैट में जुड़ गया है।',
+    handoffEnded: '🤖 अब आप फिर से वर्चुअल असिस्टेंट से बात कर रहे हैं। मैं क्या कर सकता हूँ, यह देखने के लिए "help" लिखें।'
+  }
+};
+
+function getLanguageSettings(phone) {
+  const hotel = loadHotels().find(h => h.phone === phone);
+  return (hotel && hotel.languages) || defaultLanguageSettings;
+}
+
+function validateLanguageSettings(settings) {
+  if (!settings || typeof settings !== 'object') return ['Language settings must be an object.'];
+
+  const errors = [];
+  const codes = Object.keys(supportedLanguages);
+  if (!Array.isArray(settings.enabled) || settings.enabled.length === 0) {
+    errors.push('enabled must be a list of at least one language.');
+  } else {
+    settings.enabled
+      .filter(code => !codes.includes(code))
+      .forEach(code => errors.push(`Unknown language "${code}"; supported: ${codes.join(', ')}.`));
+    if (!settings.enabled.includes(settings.default)) errors.push('default must be one of the enabled languages.');
+  }
+  return errors;
+}
+
+// Language code for "hi", "hindi" or "हिंदी"; null if we don't speak it
+function findLanguage(name) {
+  const wanted = String(name).trim().toLowerCase();
+  return Object.keys(supportedLanguages).find(code =>
+    code === wanted || supportedLanguages[code].aliases.includes(wanted)
+  ) || null;
+}
+
+// An enabled language whose script the text is written in, or null
+function detectLanguage(phone, text) {
+  return getLanguageSettings(phone).enabled.find(code =>
+    supportedLanguages[code].script && supportedLanguages[code].script.test(text)
+  ) || null;
+}
+
+// The guest's language while the hotel still has it enabled, else the hotel's default
+function guestLanguage(phone, guestId) {
+  const { enabled, default: fallback } = getLanguageSettings(phone);
+  // Read as stored: getUserState could expire a cart the current message is still building
+  const state = userStates.get(conversationKey(phone, guestId)) || storage.getConversation(phone, guestId);
+  const language = state ? state.language : null;
+  return enabled.includes(language) ? language : fallback;
+}
+
+// Messages to the hotel's own number use its default language
+function hotelLanguage(phone) {
+  return getLanguageSettings(phone).default;
+}
+
+function languageNames(codes) {
+  return codes.map(code => supportedLanguages[code].name).join(', ');
+}
+
+function phrase(language, key, values = {}) {
+  const text = (botPhrases[language] && botPhrases[language][key]) || botPhrases.en[key];
+  return fillTemplate(text, values);
+}
+
+// Does the message use any language's keywords for `intent`?
+function mentionsKeyword(text, intent) {
+  return Object.values(intentKeywords).some(keywords => keywords[intent].some(keyword => text.includes(keyword)));
+}
+
+function mentionsWord(text, intent) {
+  return Object.values(intentKeywords).some(keywords => keywords[intent].some(keyword => {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escaped}(?![\\p{L}\\p{M}\\p{N}])`, 'u').test(text);
+  }));
+}
+
+// An item's (or request type's) field in the guest's language; untranslated fields stay as entered
+function localizedField(item, field, language) {
+  const translation = item.translations && item.translations[language];
+  return (translation && translation[field]) || item[field];
+}
+
+/**
+ * Bot content
+ *
+ * What the bot says for each hotel (hotel.botContent): the reception
+ * extension, other contact numbers, the amenities list, FAQ answers and the
+ * message templates below. Hotels only store what they change; everything
+ * else comes from the defaults here.
+ *
+ * Templates fill in {placeholders}. Each template lists its own, and all of
+ * them can use {hotelName} and {receptionExtension}. Order status messages
+ * live in the order workflow instead (see Order lifecycle).
+ *
+ * The texts below are English; botTranslations has the other languages.
+ * Hotels override English in botContent.templates and other languages in
+ * botContent.translations[language]. A template a hotel rewrote in English
+ * but not in the guest's language is sent as the hotel wrote it.
+ */
+const botTemplates = {
+  welcome: {
+    placeholders: [],
+    text: "Hello! Welcome to {hotelName}! 🏨\n\nI'm your virtual assistant here to help with:\n• Food orders 🍕\n• Menu information 📋\n• Hotel assistance 📞\n\nHow can I help you today?"
+  },
+  help: {
+    placeholders: [],
+    text: "I'm here to help you at {hotelName}! 😊\n\nYou can:\n• Type \"menu\" to see food options\n• Provide your room number and order\n• Type \"cart\" to see your current order\n• Type \"help\" for assistance\n• Type \"my orders\" to check your orders\n• Type \"my bill\" to see your bill\n• Type \"promo <code>\" to use a promo code\n• Ask for towels, cleaning, repairs, a late checkout or a wake-up call\n• Type \"my requests\" to check on them\n• Type \"cancel order\" or \"change order\" while it's pending\n• Type \"talk to staff\" to chat with our team\n• Type \"reset\" to start over"
+  },
+  reception: {
+    placeholders: ['contacts'],
+    text: '📞 Please dial extension {receptionExtension} for reception, or call directly at the front desk. Our staff will be happy to assist you!\n\n{contacts}'
+  },
+  amenities: { placeholders: ['amenities'], text: '🏊‍♂️ Hotel Amenities:\n{amenities}' },
+  checkInWelcome: {
+    placeholders: ['room', 'guestName'],
+    text: "🏨 Welcome to {hotelName}! You're checked in to room {room}.\n\nMessage us here any time to order - type \"menu\" to see what we have."
+  },
+  orderPlaced: {
+    placeholders: ['orderId', 'room', 'items', 'total'],
+    text: "✅ Order #{orderId} placed successfully!\n\n🏨 Room: {room}\n🍽 Items: {items}\n{total}\n\nWe'll notify you when your order is confirmed. You can check status anytime by typing \"status\"."
+  },
+  orderUpdated: {
+    placeholders: ['orderId', 'room', 'items', 'total'],
+    text: '✅ Order #{orderId} updated!\n\n🏨 Room: {room}\n🍽 Items: {items}\n{total}'
+  },
+  orderCancelled: { placeholders: ['orderId', 'room'], text: '🚫 Order #{orderId} has been cancelled.' },
+  newOrderAlert: {
+    placeholders: ['orderId', 'room', 'items', 'guest'],
+    text: '📢 *NEW ORDER*\n🆔 #{orderId}\n🏨 Room: {room}\n🍽 Items:\n{items}'
+  },
+  orderChangedAlert: {
+    placeholders: ['orderId', 'room', 'items', 'guest'],
+    text: '✏️ Guest {guest} changed order #{orderId} (Room {room}):\n{items}'
+  },
+  orderCancelledAlert: {
+    placeholders: ['orderId', 'room', 'guest'],
+    text: '🚫 Guest {guest} cancelled order #{orderId} (Room {room}).'
+  },
+  requestReceived: {
+    placeholders: ['requestId', 'request', 'room', 'department'],
+    text: "🛎 Request #{requestId} received: {request} for room {room}. Our {department} team will take care of it and I'll keep you posted."
+  },
+  requestInProgress: {
+    placeholders: ['requestId', 'request', 'room', 'department'],
+    text: "🛎 We're on it: {request} for room {room} (request #{requestId})."
+  },
+  requestDone: {
+    placeholders: ['requestId', 'request', 'room', 'department'],
+    text: '✅ Your request #{requestId} ({request}) has been taken care of. Anything else, just ask!'
+  },
+  requestCancelled: {
+    placeholders: ['requestId', 'request', 'room', 'department', 'reason'],
+    text: '❌ Your request #{requestId} ({request}) was cancelled: {reason}'
+  },
+  newRequestAlert: {
+    placeholders: ['requestId', 'request', 'room', 'department', 'details', 'guest'],
+    text: '🛎 *NEW REQUEST* for {department}\n🆔 #{requestId}\n🏨 Room: {room}\n📋 {request}\n📝 {details}'
+  },
+  requestCancelledAlert: {
+    placeholders: ['requestId', 'request', 'room', 'guest'],
+    text: '🚫 Guest {guest} cancelled request #{requestId} (Room {room}).'
+  },
+  handoffAlert: {
+    placeholders: ['guest', 'room', 'message'],
+    text: '👤 *STAFF NEEDED*\nGuest {guest} (Room {room}) asked to talk to staff:\n{message}\n\nReply from the dashboard.'
+  }
+};
+
+const botTranslations = {
+  hi: {
+    welcome: 'नमस्ते! {hotelName} में आपका स्वागत है! 🏨\n\nमैं आपका वर्चुअल असिस्टेंट हूँ और इनमें मदद कर सकता हूँ:\n• खाने के ऑर्डर 🍕\n• मेनू की जानकारी 📋\n• होटल सहायता 📞\n\nबताइए, मैं आपकी क्या मदद करूँ?',
+    help: 'मैं {hotelName} में आपकी मदद के लिए हूँ! 😊\n\nआप ये कर सकते हैं:\n• खाने के विकल्प देखने के लिए "menu" लिखें\n• अपना कमरा नंबर और ऑर्डर भेजें\n• अपना मौजूदा ऑर्डर देखने के लिए "cart" लिखें\n• सहायता के लिए "help" या "मदद" लिखें\n• अपने ऑर्डर देखने के लिए "my orders" लिखें\n• अपना बिल देखने के लिए "my bill" लिखें\n• प्रोमो कोड लगाने के लिए "promo <code>" लिखें\n• तौलिये, सफ़ाई, मरम्मत, देर से चेक-आउट या वेक-अप कॉल माँगें\n• उनकी स्थिति देखने के लिए "my requests" लिखें\n• ऑर्डर लंबित हो तब "cancel order" या "change order" लिखें\n• हमारी टीम से चैट करने के लिए "talk to staff" या "स्टाफ़ से बात" लिखें\n• भाषा बदलने के लिए "भाषा" लिखें\n• फिर से शुरू करने के लिए "reset" लिखें',
+    reception: '📞 रिसेप्शन के लिए कृपया एक्सटेंशन {receptionExtension} डायल करें, या सीधे फ्रंट डेस्क पर कॉल करें। हमारा स्टाफ़ आपकी मदद करके खुश होगा!\n\n{contacts}',
+    amenities: '🏊‍♂️ होटल की सुविधाएँ:\n{amenities}',
+    checkInWelcome: '🏨 {hotelName} में आपका स्वागत है! आप कमरा {room} में चेक-इन हो गए हैं।\n\nऑर्डर करने के लिए कभी भी यहाँ मैसेज करें - हमारा मेनू देखने के लिए "menu" लिखें।',
+    orderPlaced: '✅ ऑर्डर #{orderId} सफलतापूर्वक दे दिया गया!\n\n🏨 कमरा: {room}\n🍽 आइटम: {items}\n{total}\n\nऑर्डर कन्फ़र्म होते ही हम आपको बताएँगे। स्थिति देखने के लिए कभी भी "status" लिखें।',
+    orderUpdated: '✅ ऑर्डर #{orderId} अपडेट हो गया!\n\n🏨 कमरा: {room}\n🍽 आइटम: {items}\n{total}',
+    orderCancelled: '🚫 ऑर्डर #{orderId} रद्द कर दिया गया है।',
+    newOrderAlert: '📢 *नया ऑर्डर*\n🆔 #{orderId}\n🏨 कमरा: {room}\n🍽 आइटम:\n{items}',
+    orderChangedAlert: '✏️ मेहमान {guest} ने ऑर्डर #{orderId} (कमरा {room}) बदला:\n{items}',
+    orderCancelledAlert: '🚫 मेहमान {guest} ने ऑर्डर #{orderId} (कमरा {room}) रद्द किया।',
+    requestReceived: '🛎 अनुरोध #{requestId} मिल गया: कमरा {room} के लिए {request}। हमारी टीम इसका ध्यान रखेगी और मैं आपको जानकारी देता रहूँगा।',
+    requestInProgress: '🛎 हम इस पर काम कर रहे हैं: कमरा {room} के लिए {request} (अनुरोध #{requestId})।',
+    requestDone: '✅ आपका अनुरोध #{requestId} ({request}) पूरा हो गया है। और कुछ चाहिए तो बस बताइए!',
+    requestCancelled: '❌ आपका अनुरोध #{requestId} ({request}) रद्द कर दिया गया: {reason}',
+    newRequestAlert: '🛎 {department} के लिए *नया अनुरोध*\n🆔 #{requestId}\n🏨 कमरा: {room}\n📋 {request}\n📝 {details}',
+    requestCancelledAlert: '🚫 मेहमान {guest} ने अनुरोध #{requestId} (कमरा {room}) रद्द किया।',
+    handoffAlert: '👤 *स्टाफ़ की ज़रूरत*\nमेहमान {guest} (कमरा {room}) स्टाफ़ से बात करना चाहते हैं:\n{message}\n\nडैशबोर्ड से जवाब दें।'
+  }
+};
+
+const defaultBotContent = {
+  receptionExtension: '22',
+  // [{ name, number }], listed under the reception message
+  contacts: [],
+  // [{ name, hours }]
+  amenities: [
+    { name: 'Swimming Pool', hours: '6AM-10PM' },
+    { name: 'Fitness Center', hours: '24/7' },
+    { name: 'Spa', hours: '9AM-9PM' },
+    { name: 'Business Center', hours: '8AM-8PM' },
+    { name: 'Free WiFi throughout hotel', hours: '' }
+  ],
+  // [{ id, question, answer, keywords }], see Knowledge base
+  faq: []
+};
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => key in values ? String(values[key]) : placeholder);
+}
+
+function getBotContent(phone, language = 'en') {
+  const hotel = loadHotels().find(h => h.phone === phone);
+  const { templates = {}, translations = {}, ...content } = (hotel && hotel.botContent) || {};
+  const translated = language === 'en' ? {} : (translations[language] || {});
+  const catalog = language === 'en' ? {} : (botTranslations[language] || {});
+  return {
+    ...defaultBotContent,
+    ...content,
+    language,
+    templates: Object.fromEntries(Object.entries(botTemplates).map(([key, template]) =>
+      [key, translated[key] || templates[key] || catalog[key] || template.text]))
+  };
+}
+
+// A template filled in for this hotel, in the given language
+function botMessage(phone, key, values = {}, language = 'en') {
+  const content = getBotContent(phone, language);
+  const hotel = loadHotels().find(h => h.phone === phone);
+  return fillTemplate(content.templates[key], {
+    hotelName: hotel ? hotel.hotelName : hotelConfig.name,
+    receptionExtension: content.receptionExtension,
+    ...values
+  }).trim();
+}
+
+function formatAmenities(amenities) {
+  return amenities.map(amenity => `• ${amenity.name}${amenity.hours ? ` (${amenity.hours})` : ''}`).join('\n');
+}
+
+function formatContacts(contacts) {
+  return contacts.map(contact => `• ${contact.name}: ${contact.number}`).join('\n');
+}
+
+function validateBotContent(content) {
+  const errors = [];
+  const isText = (value, max) => typeof value === 'string' && value.trim() && value.length <= max;
+  const checkList = (list, name, check) => {
+    if (list === undefined) return;
+    if (!Array.isArray(list) || list.length > 50) {
+      errors.push(`${name} must be a list of at most 50 entries.`);
+      return;
+    }
+    list.forEach((entry, index) => check(entry && typeof entry === 'object' ? entry : {}, `${name} ${index + 1}`));
+  };
+
+  if (!content || typeof content !== 'object') return ['Bot content must be an object.'];
+  if (content.receptionExtension !== undefined && !isText(content.receptionExtension, 30)) {
+    errors.push('receptionExtension must be text of up to 30 characters.');
+  }
+  checkList(content.contacts, 'Contact', (contact, label) => {
+    if (!isText(contact.name, 50) || !isText(contact.number, 30)) errors.push(`${label} needs a name and a number.`);
+  });
+  checkList(content.amenities, 'Amenity', (amenity, label) => {
+    if (!isText(amenity.name, 100)) errors.push(`${label} needs a name of up to 100 characters.`);
+    if (amenity.hours !== undefined && typeof amenity.hours !== 'string') errors.push(`${label}: hours must be text.`);
+  });
+  checkList(content.faq, 'FAQ', (faq, label) => errors.push(...validateFaqEntry(faq, label)));
+
+  const checkTemplates = (templates, name) => {
+    if (!templates || typeof templates !== 'object') {
+      errors.push(`${name} must be an object of template name to text.`);
+      return;
+    }
+    for (const [key, text] of Object.entries(templates)) {
+      if (!botTemplates[key]) {
+        errors.push(`Unknown template "${key}".`);
+        continue;
+      }
+      if (text === null) continue; // back to the default
+      if (!isText(text, 2000)) {
+        errors.push(`Template ${key} must be text of up to 2000 characters.`);
+        continue;
+      }
+      const allowed = ['hotelName', 'receptionExtension', ...botTemplates[key].placeholders];
+      const unknown = [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]).filter(name => !allowed.includes(name));
+      if (unknown.length > 0) {
+        errors.push(`Template ${key} can't use {${unknown.join('}, {')}}; it can use {${allowed.join('}, {')}}.`);
+      }
+    }
+  };
+
+  if (content.templates !== undefined) checkTemplates(content.templates, 'templates');
+  if (content.translations !== undefined) {
+    if (!content.translations || typeof content.translations !== 'object') {
+      errors.push('translations must be an object of language to templates.');
+    } else {
+      for (const [language, templates] of Object.entries(content.translations)) {
+        if (!supportedLanguages[language] || language === 'en') {
+          errors.push(`translations: "${language}" is not a language to translate into; English goes in templates.`);
+          continue;
+        }
+        checkTemplates(templates, `translations.${language}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Knowledge base
+ *
+ * The hotel's FAQ (botContent.faq) answers the free-text questions the bot
+ * has no other reply for: { id, question, answer, keywords }. A message
+ * matches an entry when it is the question itself, mentions one of its
+ * keywords or asks about at least half of the question's words (typos
+ * allowed, see wordsMatch); the closest entry wins. The FAQ is checked
+ * before the intents that are only guessed from keywords, so "do you have a
+ * gym?" gets the gym answer rather than an order prompt.
+ *
+ * Questions nothing matched are logged per hotel so staff can see what
+ * guests ask and add answers:
+ * { id, question, guestNumber, count, firstAskedAt, lastAskedAt }
+ * Asking the same question again adds to its count.
+ */
+const faqStopwords = new Set([
+  'what', 'whats', 'where', 'wheres', 'when', 'which', 'who', 'how', 'is', 'are', 'was', 'the', 'an', 'to',
+  'of', 'in', 'on', 'at', 'do', 'does', 'did', 'you', 'your', 'me', 'my', 'we', 'our', 'can', 'could', 'there',
+  'any', 'please', 'tell', 'about', 'it', 'its', 'this', 'that', 'for', 'and', 'or', 'have', 'has', 'get',
+  'know', 'hotel', 'offer', 'provide', 'available', 'hi', 'hello', 'pls', 'plz', 'ok', 'okay', 'thanks',
+  'thank', 'thx', 'yes', 'no', 'sure', 'fine', 'great', 'good', 'nice',
+  'क्या', 'है', 'हैं', 'कहाँ', 'कब', 'कैसे', 'का', 'की', 'के', 'में', 'पर', 'से', 'मुझे', 'आप', 'यहाँ'
+]);
+const faqMatchThreshold = 0.5;
+const maxUnansweredQuestions = 200;
+
+function validateFaqEntry(faq, label = 'FAQ') {
+  const errors = [];
+  const isText = (value, max) => typeof value === 'string' && value.trim() && value.length <= max;
+  if (!isText(faq.question, 200)) errors.push(`${label} needs a question of up to 200 characters.`);
+  if (!isText(faq.answer, 2000)) errors.push(`${label} needs an answer of up to 2000 characters.`);
+  if (faq.keywords !== undefined && (!Array.isArray(faq.keywords) || !faq.keywords.every(k => typeof k === 'string'))) {
+    errors.push(`${label}: keywords must be a list of words.`);
+  }
+  return errors;
+}
+
+function normalizeFaqEntry(entry, id) {
+  return {
+    id,
+    question: entry.question.trim(),
+    answer: entry.answer.trim(),
+    keywords: (entry.keywords || []).map(keyword => keyword.trim()).filter(Boolean)
+  };
+}
+
+// Entries saved before they had ids are numbered by position
+function loadFaq(phone) {
+  return getBotContent(phone).faq.map((entry, index) => ({ keywords: [], ...entry, id: entry.id || index + 1 }));
+}
+
+function saveFaq(hotel, faq) {
+  hotel.botContent = { ...(hotel.botContent || {}), faq };
+}
+
+function normalizeQuestion(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// The words that say what a question is about
+function questionWords(text) {
+  return [...new Set(tokenize(text).filter(word => word.length > 1 && !faqStopwords.has(word)))];
+}
+
+// How much of the question the message asks about, 0-1; typos count as matches
+function questionSimilarity(words, questionWordList) {
+  if (questionWordList.length === 0) return 0;
+  return questionWordList.filter(word => words.some(other => wordsMatch(word, other))).length / questionWordList.length;
+}
+
+// Every word of the keyword appears in the message
+function mentionsFaqKeyword(tokens, keyword) {
+  const keywordTokens = tokenize(keyword);
+  return keywordTokens.length > 0 && keywordTokens.every(word => tokens.some(token => wordsMatch(token, word)));
+}
+
+// The FAQ entry answering a guest message, or null
+function findFaqEntry(phone, message, faq = loadFaq(phone)) {
+  const text = normalizeQuestion(message);
+  const tokens = tokenize(message);
+  const words = questionWords(message);
+  let best = null;
+
+  for (const entry of faq) {
+    const similarity = questionSimilarity(words, questionWords(entry.question));
+    const score = text === normalizeQuestion(entry.question) ? 3
+      : entry.keywords.some(keyword => mentionsFaqKeyword(tokens, keyword)) ? 1 + similarity
+      : similarity;
+    if (score >= faqMatchThreshold && (!best || score > best.score)) {
+      best = { entry, score };
+    }
+  }
+
+  return best ? best.entry : null;
+}
+
+function loadUnansweredQuestions(phone) {
+  return storage.getUnansweredQuestions(phone);
+}
+
+function saveUnansweredQuestions(phone, questions) {
+  storage.setUnansweredQuestions(phone, questions);
+}
+
+// A question mark or a couple of real words; "ok thanks" isn't worth showing staff
+function looksLikeQuestion(message) {
+  return message.includes('?') || questionWords(message).length >= 2;
+}
+
+function logUnansweredQuestion(phone, guestNumber, message) {
+  const key = normalizeQuestion(message);
+  if (!key || !looksLikeQuestion(message)) return null;
+
+  const now = new Date().toISOString();
+  const questions = loadUnansweredQuestions(phone);
+  let question = questions.find(q => normalizeQuestion(q.question) === key);
+
+  if (question) {
+    question.count++;
+    question.guestNumber = guestNumber;
+    question.lastAskedAt = now;
+  } else {
+    question = { id: Date.now(), question: message.trim().slice(0, 500), guestNumber, count: 1, firstAskedAt: now, lastAskedAt: now };
+    questions.push(question);
+  }
+
+  // Past the limit the ones nobody has asked for longest go first
+  saveUnansweredQuestions(phone, questions
+    .sort((a, b) => b.lastAskedAt.localeCompare(a.lastAskedAt))
+    .slice(0, maxUnansweredQuestions));
+  console.log(`❓ Unanswered question at ${phone}: ${message.trim().slice(0, 80)}`);
+  emitToHotel(phone, 'faq:unanswered', question);
+  return question;
+}
+
+// After the FAQ changes, drop the logged questions it now answers
+function dropAnsweredQuestions(phone, faq) {
+  const questions = loadUnansweredQuestions(phone);
+  const remaining = questions.filter(question => !findFaqEntry(phone, question.question, faq));
+  if (remaining.length !== questions.length) {
+    saveUnansweredQuestions(phone, remaining);
+  }
+  return questions.length - remaining.length;
+}
+
+/**
+ * Service requests
+ *
+ * Guests ask the bot for towels, cleaning, repairs, a late checkout or a
+ * wake-up call. Each request lands in a department's queue:
+ * { id, type, department, room, guestNumber, stayId, details, scheduledFor,
+ *   status, createdAt, history: [{ status, at, by, reason }] }
+ * Staff move it Open -> In progress -> Done (or Cancelled) from the
+ * dashboard, and the guest hears about each step the way they do for orders.
+ */
+const serviceDepartments = {
+  housekeeping: 'Housekeeping',
+  maintenance: 'Maintenance',
+  frontDesk: 'Front Desk'
+};
+
+// Matched in this order, so "no clean towels" is a towel request rather than cleaning.
+// takesTime types keep a time from the message ("wake-up call at 6 AM") as scheduledFor.
+const serviceRequestTypes = {
+  towels: {
+    label: 'Fresh towels',
+    translations: { hi: { label: 'ताज़े तौलिये' } },
+    department: 'housekeeping',
+    pattern: /\btowels?\b|तौलि/
+  },
+  amenities: {
+    label: 'Room amenities',
+    translations: { hi: { label: 'कमरे का सामान' } },
+    department: 'housekeeping',
+    pattern: /\b(pillows?|blankets?|toiletries|soap|shampoo|toothbrush|toothpaste|slippers|hangers?|bed ?sheets?)\b/
+  },
+  late_checkout: {
+    label: 'Late checkout',
+    translations: { hi: { label: 'देर से चेक-आउट' } },
+    department: 'frontDesk',
+    takesTime: true,
+    pattern: /\blate\s*check[\s-]?out\b/
+  },
+  wake_up: {
+    label: 'Wake-up call',
+    translations: { hi: { label: 'वेक-अप कॉल' } },
+    department: 'frontDesk',
+    takesTime: true,
+    needsTime: true,
+    pattern: /\bwake[\s-]?up\b/
+  },
+  maintenance: {
+    label: 'Maintenance',
+    translations: { hi: { label: 'मरम्मत' } },
+    department: 'maintenance',
+    pattern: /\b(not working|isn'?t working|doesn'?t work|stopped working|broken|leak(s|ing)?|repair|fix|clogged|blocked|no hot water|no power|no electricity)\b/
+  },
+  cleaning: {
+    label: 'Room cleaning',
+    translations: { hi: { label: 'कमरे की सफ़ाई' } },
+    department: 'housekeeping',
+    pattern: /\b(clean(ing)?|housekeeping|make up (my |the )?room|tidy)\b|सफ़ाई|सफाई/
+  }
+};
+
+// notify names the bot content template the guest is sent
+const serviceRequestStatuses = {
+  'Open': { next: ['In progress', 'Done', 'Cancelled'] },
+  'In progress': { next: ['Done', 'Cancelled'], notify: 'requestInProgress' },
+  'Done': { next: [], notify: 'requestDone' },
+  'Cancelled': { next: [], requiresReason: true, notify: 'requestCancelled' }
+};
+const openServiceStatuses = ['Open', 'In progress'];
+
+// "6:30 am", "18:00" or "noon" anywhere in a message -> minutes after midnight
+function extractClockTime(message) {
+  const match = message.toLowerCase().match(/\b(\d{1,2}(?::\d{2})?\s*[ap]\.?m\.?|\d{1,2}:\d{2}|noon|midnight)/);
+  return match ? parseClockTime(match[1]) : null;
+}
+
+function parseServiceRequest(message) {
+  const text = message.toLowerCase();
+  const type = Object.keys(serviceRequestTypes).find(key => serviceRequestTypes[key].pattern.test(text));
+  if (!type) return null;
+  return { type, details: message.trim(), time: serviceRequestTypes[type].takesTime ? extractClockTime(message) : null };
+}
+
+// The next time the hotel's clock shows `minutes` after midnight, as an ISO time
+function nextLocalTime(phone, minutes, now = new Date()) {
+  const timezone = getHotelTimezone(phone);
+  const today = localDateKey(now, timezone);
+  for (const day of [today, addDays(today, 1)]) {
+    const at = new Date(new Date(localDayStart(day, timezone)).getTime() + minutes * 60000);
+    if (at > now) return at.toISOString();
+  }
+  return null;
+}
+
+function describeServiceRequest(phone, request, language = 'en') {
+  const label = localizedField(serviceRequestTypes[request.type], 'label', language);
+  if (!request.scheduledFor) return label;
+  return phrase(language, 'requestAt', { request: label, time: formatOrderTime(phone, request.scheduledFor, language) });
+}
+
+// Placeholder values for the request templates
+function serviceRequestValues(phone, request, language = 'en') {
+  return {
+    requestId: request.id,
+    request: describeServiceRequest(phone, request, language),
+    room: request.room,
+    department: serviceDepartments[request.department],
+    details: request.details || serviceRequestTypes[request.type].label,
+    guest: request.guestNumber || 'staff'
+  };
+}
+
+// Saves a new request and tells the dashboard and the hotel's own number
+async function createServiceRequest(client, phone, fields, by) {
+  const type = serviceRequestTypes[fields.type];
+  const createdAt = new Date().toISOString();
+  const request = {
+    id: Date.now(),
+    type: fields.type,
+    department: type.department,
+    room: fields.room,
+    guestNumber: fields.guestNumber || null,
+    stayId: fields.stayId || null,
+    details: fields.details || null,
+    scheduledFor: fields.time !== null && fields.time !== undefined ? nextLocalTime(phone, fields.time) : null,
+    status: 'Open',
+    createdAt,
+    history: [{ status: 'Open', at: createdAt, by, reason: null }]
+  };
+
+  storage.insertServiceRequest(phone, request);
+  emitToHotel(phone, 'request:created', request);
+  console.log(`🛎 ${type.label} request #${request.id} for room ${request.room}`);
+
+  if (client && isClientConnected(phone)) {
+    const language = hotelLanguage(phone);
+    await safeSendMessage(client, phone, `${phone}@c.us`, botMessage(phone, 'newRequestAlert', serviceRequestValues(phone, request, language), language));
+  }
+  return request;
+}
+
+// Records the change and sends the guest the status's message, if it has one
+async function changeServiceRequestStatus(client, phone, request, status, { by, reason = null }) {
+  request.status = status;
+  request.updatedAt = new Date().toISOString();
+  request.history = [...(request.history || []), { status, at: request.updatedAt, by, reason }];
+  storage.updateServiceRequest(phone, request);
+  emitToHotel(phone, 'request:updated', request);
+
+  const notify = serviceRequestStatuses[status].notify;
+  if (notify && by !== 'guest' && client && request.guestNumber && isClientConnected(phone)) {
+    const language = guestLanguage(phone, request.guestNumber);
+    await safeSendMessage(client, phone, request.guestNumber, botMessage(phone, notify, {
+      ...serviceRequestValues(phone, request, language),
+      reason: reason || phrase(language, 'noReason')
+    }, language), undefined, { intent: 'service_request' });
+  }
+}
+
+/**
+ * Staff handoff
+ *
+ * A guest who asks for a person ("talk to staff", or the help option), or
+ * whom staff take over from the dashboard, gets a handoff thread:
+ * { id, guestNumber, room, status: 'open' | 'closed', startedAt, startedBy,
+ *   closedAt, closedBy, lastMessageAt, messages: [{ from, text, at, by }] }
+ * from is 'guest', 'bot' or 'staff' (by is the staff member's username).
+ * While the thread is open the bot leaves the guest alone: their messages go
+ * into the transcript and to the dashboard, and staff reply through the
+ * hotel's WhatsApp client until they hand the guest back. Whatever the bot
+ * still sends meanwhile, like order updates, is recorded too.
+ */
+const maxHandoffMessages = 500;
+
+function findOpenHandoff(phone, guestNumber) {
+  return storage.getGuestHandoff(phone, guestNumber);
+}
+
+// For lists: everything but the transcript
+function handoffSummary(handoff) {
+  const { messages, ...summary } = handoff;
+  return { ...summary, messageCount: messages.length, lastMessage: messages[messages.length - 1] || null };
+}
+
+// Re-read first: a guest can write while a staff reply is still being sent
+function appendHandoffMessage(phone, handoffId, { from, text, by = null }) {
+  const handoff = storage.getHandoff(phone, handoffId);
+  const message = { from, text, at: new Date().toISOString(), by };
+  handoff.messages = [...handoff.messages, message].slice(-maxHandoffMessages);
+  handoff.lastMessageAt = message.at;
+  storage.updateHandoff(phone, handoff);
+  emitToHotel(phone, 'handoff:message', { handoffId: handoff.id, guestNumber: handoff.guestNumber, message });
+  return message;
+}
+
+// What a sent message looks like in a transcript
+function transcriptText(message, options) {
+  if (typeof message === 'string') return message;
+  return (options && options.caption) || message.body || `[${message.filename || 'attachment'}]`;
+}
+
+// by is 'guest' when they asked, otherwise the staff member taking over
+async function startHandoff(client, phone, guestNumber, { by, message = null }) {
+  const now = new Date().toISOString();
+  const state = getUserState(phone, guestNumber);
+  const stay = findCurrentStay(phone, guestNumber);
+  const handoff = {
+    id: Date.now(),
+    guestNumber,
+    room: stay ? stay.room : state.room,
+    status: 'open',
+    startedAt: now,
+    startedBy: by,
+    closedAt: null,
+    closedBy: null,
+    lastMessageAt: now,
+    messages: message ? [{ from: 'guest', text: message, at: now, by: null }] : []
+  };
+
+  // Nothing half-asked is waiting for the guest when the bot takes over again
+  delete state.pendingOptions;
+  delete state.pendingClarification;
+  delete state.pendingServiceRequest;
+  delete state.awaitingComment;
+  saveUserState(phone, guestNumber, state);
+
+  storage.insertHandoff(phone, handoff);
+  emitToHotel(phone, 'handoff:started', handoffSummary(handoff));
+  console.log(`👤 Handoff #${handoff.id} for ${guestNumber} at ${phone} started by ${by}`);
+
+  if (client && isClientConnected(phone)) {
+    const language = guestLanguage(phone, guestNumber);
+    await safeSendMessage(client, phone, guestNumber, phrase(language, by === 'guest' ? 'handoffStarted' : 'handoffJoined'));
+    if (by === 'guest') {
+      const hotelLang = hotelLanguage(phone);
+      await safeSendMessage(client, phone, `${phone}@c.us`, botMessage(phone, 'handoffAlert', {
+        guest: guestNumber.replace(/@c\.us$/, ''),
+        room: handoff.room || '-',
+        message: message || phrase(hotelLang, 'helpStaff')
+      }, hotelLang));
+    }
+  }
+  return storage.getHandoff(phone, handoff.id);
+}
+
+// Hands the guest back to the bot
+async function endHandoff(client, phone, handoff, by) {
+  handoff.status = 'closed';
+  handoff.closedAt = new Date().toISOString();
+  handoff.closedBy = by;
+  storage.updateHandoff(phone, handoff);
+  emitToHotel(phone, 'handoff:updated', handoffSummary(handoff));
+  console.log(`🤖 Handoff #${handoff.id} for ${handoff.guestNumber} at ${phone} closed by ${by}`);
+
+  if (client && isClientConnected(phone)) {
+    await safeSendMessage(client, phone, handoff.guestNumber, phrase(guestLanguage(phone, handoff.guestNumber), 'handoffEnded'));
+  }
+}
+
+/**
+ * Message log
+ *
+ * Every message to and from a guest is kept per hotel:
+ * { id, guestNumber, direction: 'in' | 'out', text, timestamp, intent, orderId, by }
+ * intent is what the bot made of the guest's message ("order", "faq",
+ * "service_request", ...) and orderId the order it was about, if any.
+ * Replies are logged with the message they answer, so they share its intent
+ * and order. Messages the bot sends on its own, like status updates, are
+ * 'notification' unless the sender says otherwise; by is set on staff replies.
+ * Alerts to the hotel's own number are not logged. Messages older than the
+ * hotel's retention (hotel.messageRetentionDays, or
+ * hotelConfig.messageRetentionDays) are swept away.
+ */
+function getMessageRetentionDays(phone) {
+  const hotel = loadHotels().find(h => h.phone === phone);
+  return (hotel && hotel.messageRetentionDays) || hotelConfig.messageRetentionDays;
+}
+
+function isValidRetentionDays(days) {
+  return Number.isInteger(days) && days >= 1 && days <= 3650;
+}
+
+function logMessage(phone, message) {
+  const logged = storage.insertMessage(phone, message);
+  emitToHotel(phone, 'conversation:message', logged);
+  return logged;
+}
+
+// Replies are held until the guest's message has been handled, see endGuestTurn
+function beginGuestTurn(phone, guestNumber, text) {
+  const turn = { text, timestamp: new Date().toISOString(), intent: null, orderId: null, replies: [] };
+  guestTurns.set(conversationKey(phone, guestNumber), turn);
+  return turn;
+}
+
+function noteMessageIntent(phone, guestNumber, intent) {
+  const turn = guestTurns.get(conversationKey(phone, guestNumber));
+  if (turn) turn.intent = intent;
+}
+
+function noteMessageOrder(phone, guestNumber, orderId) {
+  const turn = guestTurns.get(conversationKey(phone, guestNumber));
+  if (turn) turn.orderId = orderId;
+}
+
+function endGuestTurn(phone, guestNumber) {
+  const key = conversationKey(phone, guestNumber);
+  const turn = guestTurns.get(key);
+  if (!turn) return;
+  guestTurns.delete(key);
+
+  const fields = { guestNumber, intent: turn.intent || 'unknown', orderId: turn.orderId, by: null };
+  try {
+    logMessage(phone, { ...fields, direction: 'in', text: turn.text, timestamp: turn.timestamp });
+    for (const reply of turn.replies) {
+      logMessage(phone, { ...fields, direction: 'out', text: reply.text, timestamp: reply.timestamp });
+    }
+  } catch (error) {
+    console.error(`❌ Failed to log messages for ${guestNumber} at ${phone}:`, error.message);
+  }
+}
+
+// log: { intent, orderId, by } for messages sent outside a guest's turn
+function logOutgoingMessage(phone, to, message, options, log = {}) {
+  if (to === `${phone}@c.us`) return;
+
+  const text = transcriptText(message, options);
+  const timestamp = new Date().toISOString();
+  const turn = log.intent ? null : guestTurns.get(conversationKey(phone, to));
+  if (turn) {
+    turn.replies.push({ text, timestamp });
+    return;
+  }
+
+  try {
+    logMessage(phone, {
+      guestNumber: to,
+      direction: 'out',
+      text,
+      timestamp,
+      intent: log.intent || 'notification',
+      orderId: log.orderId || null,
+      by: log.by || null
+    });
+  } catch (error) {
+    console.error(`❌ Failed to log message to ${to} at ${phone}:`, error.message);
+  }
+}
+
+function sweepMessageLog() {
+  for (const hotel of loadHotels()) {
+    const cutoff = new Date(Date.now() - getMessageRetentionDays(hotel.phone) * 24 * 60 * 60 * 1000).toISOString();
+    const removed = storage.deleteMessagesBefore(hotel.phone, cutoff);
+    if (removed) {
+      console.log(`🧹 Message log sweep for ${hotel.phone}: ${removed} messages past retention removed`);
+    }
+  }
+}
+
+setInterval(sweepMessageLog, 60 * 60 * 1000).unref();
+
+/**
+ * Order lifecycle
+ *
+ * A workflow names every status an order can be in, the statuses it may move
+ * to next and the WhatsApp message the guest gets on arrival. Hotels can
+ * replace the default with their own (hotel.orderWorkflow):
+ *
+ * {
+ *   initial: "Pending",
+ *   statuses: {
+ *     "Pending": { next: ["Confirmed", "Rejected"] },
+ *     "Rejected": { next: [], requiresReason: true, notify: "❌ Order #{id} was rejected: {reason}" },
+ *     "Delivered": { next: [], completed: true, notify: "..." }
+ *   }
+ * }
+ *
+ * notify templates can use {id} (or {orderId}), {items}, {room}, {status} and {reason}.
+ * A notify can also be given per language, { en: "...", hi: "..." }; guests
+ * get their own language, or English when it's missing.
+ * Every change is appended to order.history as { status, at, by, reason }.
+ */
+const defaultOrderWorkflow = {
+  initial: 'Pending',
+  statuses: {
+    'Pending': {
+      next: ['Confirmed', 'Rejected', 'Cancelled']
+    },
+    'Confirmed': {
+      next: ['Preparing', 'Cancelled'],
+      notify: {
+        en: '✅ Your order #{id} for {items} has been *confirmed*.',
+        hi: '✅ आपका ऑर्डर #{id} ({items}) *कन्फ़र्म* हो गया है।'
+      }
+    },
+    'Preparing': {
+      next: ['Out for delivery', 'Cancelled'],
+      notify: {
+        en: '👨‍🍳 Your order #{id} is being *prepared*.',
+        hi: '👨‍🍳 आपका ऑर्डर #{id} *तैयार* किया जा रहा है।'
+      }
+    },
+    'Out for delivery': {
+      next: ['Delivered'],
+      notify: {
+        en: '🛎 Your order #{id} is *on its way* to room {room}.',
+        hi: '🛎 आपका ऑर्डर #{id} कमरा {room} के लिए *रास्ते में* है।'
+      }
+    },
+    'Delivered': {
+      next: [],
+      completed: true,
+      notify: {
+        en: '✅ Your order #{id} for {items} has been *delivered*. Thank you for staying with us!',
+        hi: '✅ आपका ऑर्डर #{id} ({items}) *पहुँचा दिया गया* है। हमारे साथ ठहरने के लिए धन्यवाद!'
+      }
+    },
+    'Rejected': {
+      next: [],
+      requiresReason: true,
+      notify: {
+        en: '❌ Your order #{id} for {items} was *rejected*: {reason}. Please contact reception for help.',
+        hi: '❌ आपका ऑर्डर #{id} ({items}) *अस्वीकार* कर दिया गया: {reason}। मदद के लिए कृपया रिसेप्शन से संपर्क करें।'
+      }
+    },
+    'Cancelled': {
+      next: [],
+      requiresReason: true,
+      notify: {
+        en: '❌ Your order #{id} for {items} has been *cancelled*: {reason}.',
+        hi: '❌ आपका ऑर्डर #{id} ({items}) *रद्द* कर दिया गया है: {reason}।'
+      }
+    }
+  }
+};
+
+function getOrderWorkflow(phone) {
+  const hotel = loadHotels().find(h => h.phone === phone);
+  return (hotel && hotel.orderWorkflow) || defaultOrderWorkflow;
+}
+
+function validateOrderWorkflow(workflow) {
+  if (!workflow || typeof workflow !== 'object' || !workflow.statuses || typeof workflow.statuses !== 'object') {
+    return ['Workflow must have a statuses object.'];
+  }
+
+  const errors = [];
+  const names = Object.keys(workflow.statuses);
+
+  if (names.length === 0) errors.push('Workflow needs at least one status.');
+  if (!names.includes(workflow.initial)) errors.push('initial must be one of the statuses.');
+  if (!names.some(name => workflow.statuses[name].completed)) {
+    errors.push('At least one status must be marked completed.');
+  }
+
+  for (const [name, definition] of Object.entries(workflow.statuses)) {
+    if (!name.trim() || name.length > 40) errors.push(`"${name}" is not a valid status name.`);
+    if (!definition || !Array.isArray(definition.next)) {
+      errors.push(`${name}: next must be a list of statuses.`);
+      continue;
+    }
+    definition.next
+      .filter(next => !names.includes(next))
+      .forEach(next => errors.push(`${name}: unknown next status "${next}".`));
+    const notify = definition.notify;
+    if (notify != null && typeof notify !== 'string') {
+      if (typeof notify !== 'object' || Array.isArray(notify) || Object.keys(notify).length === 0) {
+        errors.push(`${name}: notify must be text, or an object of language to text.`);
+      } else {
+        Object.entries(notify)
+          .filter(([language, text]) => !supportedLanguages[language] || typeof text !== 'string')
+          .forEach(([language]) => errors.push(`${name}: notify.${language} must be text in a supported language (${Object.keys(supportedLanguages).join(', ')}).`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Status name as the workflow spells it; old "Done" orders map to the completed status
+function resolveOrderStatus(workflow, status) {
+  if (typeof status !== 'string') return null;
+  const name = Object.keys(workflow.statuses).find(name => name.toLowerCase() === status.trim().toLowerCase());
+  if (name) return name;
+  return status === 'Done' ? getCompletedStatus(workflow) : null;
+}
+
+function getCompletedStatus(workflow) {
+  return Object.keys(workflow.statuses).find(name => workflow.statuses[name].completed);
+}
+
+// Orders left in a status the workflow no longer has can be moved anywhere
+function canTransition(workflow, from, to) {
+  const current = workflow.statuses[from];
+  return !current || current.next.includes(to);
+}
+
+function recordStatusChange(order, status, { by, reason = null }) {
+  const at = new Date().toISOString();
+  order.status = status;
+  order.updatedAt = at;
+  order.history = [...(order.history || []), { status, at, by, reason }];
+}
+
+// notify is one text or { en, hi, ... }
+function formatStatusNotification(notify, order, reason, language = 'en') {
+  const template = typeof notify === 'string' ? notify : notify[language] || notify.en || Object.values(notify)[0];
+  return fillTemplate(template, {
+    id: order.id,
+    orderId: order.id,
+    items: order.items.map(item => describeOrderItem(item, language)).join(', '),
+    room: order.room,
+    status: order.status,
+    reason: reason || phrase(language, 'noReason')
+  });
+}
+
+function isValidGraceMinutes(value) {
+  const minutes = Number(value);
+  return value !== '' && value !== null && Number.isInteger(minutes) && minutes >= 0 && minutes <= 24 * 60;
+}
+
+// Guests may cancel or change an order while it is in the initial status, or
+// within the hotel's grace period as long as the order isn't finished
+function canGuestChangeOrder(order, phone) {
+  const workflow = getOrderWorkflow(phone);
+  if (order.status === workflow.initial) return true;
+
+  const definition = workflow.statuses[order.status];
+  if (!definition || definition.next.length === 0) return false;
+
+  const hotel = loadHotels().find(h => h.phone === phone);
+  const graceMinutes = hotel && hotel.orderChangeGraceMinutes != null
+    ? hotel.orderChangeGraceMinutes
+    : hotelConfig.orderChangeGraceMinutes;
+  return Date.now() - new Date(order.timestamp).getTime() < graceMinutes * 60 * 1000;
+}
+
+// Orders stored as "Done" before workflows existed; a no-op once they are moved
+function migrateLegacyOrderStatuses() {
+  for (const hotel of loadHotels()) {
+    const completed = getCompletedStatus(getOrderWorkflow(hotel.phone));
+    const legacy = loadOrders(hotel.phone).filter(order => order.status === 'Done');
+
+    legacy.forEach(order => {
+      order.status = completed;
+      updateOrder(hotel.phone, order);
+    });
+    if (legacy.length > 0) {
+      console.log(`📦 Moved ${legacy.length} "Done" orders to "${completed}" for ${hotel.phone}`);
+    }
+  }
+}
+
+/**
+ * Guest conversation state
+ *
+ * Keyed by hotel phone + guest id so the same guest can talk to two hotels.
+ * Every change is written through to storage; userStates is only a cache.
+ */
+function conversationKey(phone, guestId) {
+  return `${phone}:${guestId}`;
+}
+
+function createUserState(phone) {
+  return {
+    awaitingConfirmation: false,
+    items: [],
+    room: null,
+    awaitingRating: false,
+    lastOrderId: null,
+    hotelPhone: phone,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// Drop a half-built cart that has been idle too long. Returns true if anything changed.
+function expireStaleCart(state) {
+  const idleFor = Date.now() - new Date(state.updatedAt || 0).getTime();
+  if (idleFor < hotelConfig.conversationIdleMs) return false;
+  if (!state.awaitingConfirmation && (!state.items || state.items.length === 0)) return false;
+
+  state.awaitingConfirmation = false;
+  state.items = [];
+  delete state.editingOrderId;
+  return true;
+}
+
+function getUserState(phone, guestId) {
+  const key = conversationKey(phone, guestId);
+  let state = userStates.get(key) || storage.getConversation(phone, guestId);
+
+  if (!state) {
+    state = createUserState(phone);
+  } else if (expireStaleCart(state)) {
+    console.log(`🧹 Cleared stale cart for ${guestId} at hotel ${phone}`);
+  }
+
+  userStates.set(key, state);
+  return state;
+}
+
+function saveUserState(phone, guestId, state) {
+  state.updatedAt = new Date().toISOString();
+  userStates.set(conversationKey(phone, guestId), state);
+  storage.setConversation(phone, guestId, state);
+}
+
+function clearUserState(phone, guestId) {
+  userStates.delete(conversationKey(phone, guestId));
+  storage.deleteConversation(phone, guestId);
+}
+
+// Periodically clear idle carts and forget conversations past the retention period
+function sweepConversations() {
+  const now = Date.now();
+  const retentionCutoff = new Date(now - hotelConfig.conversationRetentionMs).toISOString();
+  const removed = storage.deleteConversationsIdleSince(retentionCutoff);
+
+  const idleCutoff = new Date(now - hotelConfig.conversationIdleMs).toISOString();
+  let cleared = 0;
+  for (const { hotelPhone, guestId, state } of storage.getConversationsIdleSince(idleCutoff)) {
+    if (expireStaleCart(state)) {
+      // Keep updatedAt so retention still counts from the last guest activity
+      storage.setConversation(hotelPhone, guestId, state);
+      cleared++;
+    }
+  }
+
+  for (const [key, state] of userStates.entries()) {
+    if ((state.updatedAt || '') < idleCutoff) {
+      userStates.delete(key);
+    }
+  }
+
+  if (removed || cleared) {
+    console.log(`🧹 Conversation sweep: ${cleared} stale carts cleared, ${removed} old conversations removed`);
+  }
+}
+
+setInterval(sweepConversations, 10 * 60 * 1000).unref();
+
+function loadMenuConfig(phone) {
+  try {
+    const menuData = storage.getMenu(phone);
+    if (menuData) {
+      const menuConfig = normalizeMenuConfig(menuData);
+
+      // Persist upgraded legacy menus so generated item ids stay stable
+      if (JSON.stringify(menuConfig) !== JSON.stringify(menuData)) {
+        saveMenuConfig(phone, menuConfig);
+        console.log(`📋 Upgraded menu for ${phone} to structured items`);
+      }
+
+      return menuConfig;
+    }
+  } catch (error) {
+    console.error(`Error loading menu config for ${phone}:`, error);
+  }
+
+  // Fallback to default menu
+  return normalizeMenuConfig({
+    menu: {
+      breakfast: ["Continental Breakfast - ₹500", "Full English Breakfast - ₹750", "Pancakes with Maple Syrup - ₹450"],
+      lunch: ["Grilled Chicken Sandwich - ₹650", "Margherita Pizza - ₹800", "Vegetable Pasta - ₹550"],
+      dinner: ["Grilled Salmon - ₹1200", "Beef Steak - ₹1500", "Vegetable Curry - ₹600"],
+      roomService: ["Club Sandwich - ₹450", "Chicken Burger - ₹550", "Chocolate Lava Cake - ₹350"]
+    },
+    hours: {
+      breakfast: "7:00 AM - 10:30 AM",
+      lunch: "12:00 PM - 3:00 PM",
+      dinner: "6:30 PM - 11:00 PM",
+      roomService: "24/7"
+    },
+    categories: ["breakfast", "lunch", "dinner", "roomService"]
+  });
+}
+
+function saveMenuConfig(phone, menuData) {
+  storage.setMenu(phone, menuData);
+}
+
+/**
+ * Menu item model
+ *
+ * {
+ *   id: "margherita-pizza",         // stable, unique within the hotel's menu
+ *   name: "Margherita Pizza",
+ *   description: "",
+ *   price: 800,
+ *   currency: "INR",
+ *   tags: ["veg"],                  // "veg" / "non-veg" plus free-form tags
+ *   aliases: ["pizza", "margarita"], // other names guests use for it
+ *   translations: { hi: { name: "मार्गेरिटा पिज़्ज़ा", description: "..." } },
+ *   available: true,
+ *   modifiers: [{
+ *     id: "size", name: "Size", multiple: false,
+ *     options: [{ id: "large", name: "Large", price: 200 }]
+ *   }]
+ * }
+ *
+ * Legacy "Name - ₹price" strings are upgraded with normalizeMenuItem().
+ */
+const currencySymbols = { INR: '₹', USD: '$', EUR: '€', GBP: '£', AED: 'AED ' };
+
+function formatPrice(amount, currency = hotelConfig.currency) {
+  const symbol = currencySymbols[currency] || `${currency} `;
+  return `${symbol}${Number.isInteger(amount) ? amount : amount.toFixed(2)}`;
+}
+
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'item';
+}
+
+// Pick an id not already in usedIds, registering it
+function uniqueId(base, usedIds) {
+  let id = base;
+  for (let n = 2; usedIds.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  usedIds.add(id);
+  return id;
+}
+
+// "Margherita Pizza - ₹800" -> { name, price }
+function parseMenuItemString(text) {
+  const parts = text.split(' - ');
+  const name = parts[0] ? parts[0].trim() : '';
+  let price = 0;
+
+  if (parts[1]) {
+    const priceMatch = parts[1].replace(/,/g, '').match(/\d+(\.\d+)?/);
+    if (priceMatch) {
+      price = parseFloat(priceMatch[0]);
+    }
+  }
+
+  return { name, price };
+}
+
+function normalizeModifier(modifier, usedIds) {
+  const options = Array.isArray(modifier.options) ? modifier.options : [];
+  const optionIds = new Set();
+
+  return {
+    id: uniqueId(modifier.id ? String(modifier.id) : slugify(modifier.name), usedIds),
+    name: String(modifier.name || '').trim(),
+    multiple: modifier.multiple === true,
+    required: modifier.required === true,
+    options: options
+      .filter(option => option && option.name)
+      .map(option => ({
+        id: uniqueId(option.id ? String(option.id) : slugify(option.name), optionIds),
+        name: String(option.name).trim(),
+        price: Number(option.price) || 0
+      }))
+  };
+}
+
+// { hi: { name, description } }, keeping supported languages that have some text
+function normalizeItemTranslations(translations) {
+  if (!translations || typeof translations !== 'object') return {};
+
+  return Object.fromEntries(Object.entries(translations)
+    .filter(([language, translation]) => supportedLanguages[language] && translation && typeof translation === 'object')
+    .map(([language, translation]) => [language, {
+      name: String(translation.name || '').trim(),
+      description: String(translation.description || '').trim()
+    }])
+    .filter(([, translation]) => translation.name || translation.description));
+}
+
+function normalizeMenuItem(item, usedIds, currency) {
+  const source = typeof item === 'string' ? parseMenuItemString(item) : item;
+  const name = String(source.name || '').trim();
+  const tags = Array.isArray(source.tags) ? source.tags.map(tag => String(tag).toLowerCase()) : [];
+  const modifierIds = new Set();
+
+  if (source.veg === true && !tags.includes('veg')) tags.push('veg');
+  if (source.veg === false && !tags.includes('non-veg')) tags.push('non-veg');
+
+  return {
+    id: uniqueId(source.id ? String(source.id) : slugify(name), usedIds),
+    name,
+    description: String(source.description || '').trim(),
+    price: Number(source.price) || 0,
+    currency: source.currency || currency,
+    tags,
+    aliases: (Array.isArray(source.aliases) ? source.aliases : [])
+      .map(alias => String(alias).trim())
+      .filter(Boolean),
+    translations: normalizeItemTranslations(source.translations),
+    available: source.available !== false,
+    modifiers: (Array.isArray(source.modifiers) ? source.modifiers : [])
+      .filter(modifier => modifier && modifier.name)
+      .map(modifier => normalizeModifier(modifier, modifierIds))
+  };
+}
+
+/**
+ * Bring stored or submitted menu data into the structured shape.
+ * Returns a list of problems instead of throwing so POST /api/menu can report them.
+ */
+function validateMenuData(menuData) {
+  const errors = [];
+
+  if (!menuData.menu || typeof menuData.menu !== 'object' || Array.isArray(menuData.menu)) {
+    return ['menu must be an object of category -> items'];
+  }
+
+  for (const [category, hours] of Object.entries(menuData.hours || {})) {
+    if (hours && !parseHoursSchedule(hours)) {
+      errors.push(`${category}: could not understand hours "${hours}"`);
+    }
+  }
+
+  for (const [category, items] of Object.entries(menuData.menu)) {
+    if (!Array.isArray(items)) {
+      errors.push(`${category}: items must be an array`);
+      continue;
+    }
+    items.forEach((item, index) => {
+      const normalized = typeof item === 'string' ? parseMenuItemString(item)
+        : (item && typeof item === 'object' ? item : null);
+      if (!normalized || !String(normalized.name || '').trim()) {
+        errors.push(`${category}[${index}]: name is required`);
+      } else if (normalized.price !== undefined && (isNaN(Number(normalized.price)) || Number(normalized.price) < 0)) {
+        errors.push(`${category}[${index}]: price must be a non-negative number`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+function normalizeMenuConfig(menuData) {
+  const currency = menuData.currency || hotelConfig.currency;
+  const usedIds = new Set();
+  const menu = {};
+
+  for (const [category, items] of Object.entries(menuData.menu || {})) {
+    menu[category] = (Array.isArray(items) ? items : [])
+      .filter(item => item && (typeof item === 'string' ? item.trim() : item.name))
+      .map(item => normalizeMenuItem(item, usedIds, currency))
+      .filter(item => item.name);
+  }
+
+  const categories = (menuData.categories || Object.keys(menu)).filter(category => menu[category]);
+
+  return {
+    ...menuData,
+    menu,
+    hours: menuData.hours || {},
+    categories,
+    currency
+  };
+}
+
+// One line for menu listings, e.g. "Margherita Pizza - ₹800 🟢"
+function formatMenuItem(item, language = 'en') {
+  const description = localizedField(item, 'description', language);
+  let text = `${localizedField(item, 'name', language)} - ${formatPrice(item.price, item.currency)}`;
+  if (item.tags.includes('veg')) text += ' 🟢';
+  if (item.tags.includes('non-veg')) text += ' 🔴';
+  if (description) text += `\n   _${description}_`;
+
+  for (const modifier of item.modifiers) {
+    const options = modifier.options
+      .map(option => option.price ? `${option.name} +${formatPrice(option.price, item.currency)}` : option.name)
+      .join(', ');
+    text += `\n   ${modifier.name}: ${options}`;
+  }
+
+  return text;
+}
+
+// "2 x Margherita Pizza (Large)"
+function describeOrderItem(item, language = 'en') {
+  const modifiers = item.modifiers && item.modifiers.length > 0
+    ? ` (${item.modifiers.map(m => m.name).join(', ')})`
+    : '';
+  return `${item.quantity} x ${localizedField(item, 'name', language)}${modifiers}`;
+}
+
+// One line for order summaries, e.g. "2 x Margherita Pizza (Large) - ₹2000"
+function formatOrderItem(item, currency, language = 'en') {
+  const line = describeOrderItem(item, language);
+  return item.price ? `${line} - ${formatPrice(item.price * item.quantity, currency)}` : line;
+}
+
+/**
+ * Menu category hours
+ *
+ * Hours are written the way hotels print them and parsed into a weekly
+ * schedule: an array of 7 days (0 = Sunday) holding [start, end] minute
+ * ranges. An end past 1440 runs into the next morning. Supported forms:
+ *   "7:00 AM - 10:30 AM"
+ *   "10 PM - 2 AM"                                   (overnight)
+ *   "24/7", "closed"
+ *   "12 PM - 3 PM, 7 PM - 11 PM"                     (several ranges)
+ *   "Mon-Fri 7:00 AM - 10:30 AM; Sat-Sun 8 AM - 11:30 AM; Tue closed"
+ * Later rules override earlier ones for the days they name; days no rule
+ * covers are closed.
+ */
+const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const dayAliases = {
+  sun: 0, sunday: 0, mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2, wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4, fri: 5, friday: 5, sat: 6, saturday: 6
+};
+
+function parseClockTime(text) {
+  const value = text.trim().toLowerCase().replace(/\./g, '');
+  if (value === 'noon') return 12 * 60;
+  if (value === 'midnight') return 0;
+
+  const match = value.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = match[2] ? parseInt(match[2]) : 0;
+  if (minutes > 59 || hours > 23 || (match[3] && (hours < 1 || hours > 12))) return null;
+  if (!match[3] && !match[2]) return null; // a bare "7" is too ambiguous
+
+  if (match[3] === 'pm' && hours !== 12) hours += 12;
+  if (match[3] === 'am' && hours === 12) hours = 0;
+  return hours * 60 + minutes;
+}
+
+// "Mon-Fri", "Sat,Sun", "weekends" -> [1, 2, 3, 4, 5] etc.
+function parseDaySpec(text) {
+  const spec = text.trim().toLowerCase();
+  if (spec === 'daily' || spec === 'everyday' || spec === 'every day') return [0, 1, 2, 3, 4, 5, 6];
+  if (spec === 'weekdays') return [1, 2, 3, 4, 5];
+  if (spec === 'weekends' || spec === 'weekend') return [0, 6];
+
+  const days = [];
+  for (const part of spec.split(/\s*,\s*/)) {
+    const [from, to] = part.split(/\s*-\s*/);
+    if (!(from in dayAliases) || (to !== undefined && !(to in dayAliases))) return null;
+
+    const start = dayAliases[from];
+    const end = to === undefined ? start : dayAliases[to];
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.push(day);
+      if (day === end) break;
+    }
+  }
+  return days;
+}
+
+// "7:00 AM - 10:30 AM, 6 PM - 11 PM" -> [[420, 630], [1080, 1380]]
+function parseTimeRanges(text) {
+  const value = text.trim().toLowerCase();
+  if (value === 'closed') return [];
+  if (['24/7', '24 hours', '24hrs', 'all day', 'open'].includes(value)) return [[0, 1440]];
+
+  const ranges = [];
+  for (const part of value.split(/\s*,\s*/)) {
+    const match = part.match(/^(.+?)\s*(?:-|–|to)\s*(.+)$/);
+    if (!match) return null;
+
+    const start = parseClockTime(match[1]);
+    let end = parseClockTime(match[2]);
+    if (start === null || end === null) return null;
+    if (end <= start) end += 1440; // overnight
+
+    ranges.push([start, end]);
+  }
+  return ranges;
+}
+
+function parseHoursSchedule(hours) {
+  if (hours === undefined || hours === null || String(hours).trim() === '') {
+    return null;
+  }
+
+  // Days no rule mentions are closed, so "Mon-Fri 7 AM - 10 AM" means closed at weekends
+  const week = Array.from({ length: 7 }, () => []);
+
+  for (const rule of String(hours).split(/\s*;\s*/).filter(Boolean)) {
+    // Optional leading day spec, e.g. "Mon-Fri 7 AM - 10 AM" or "Sun: closed"
+    const match = rule.match(/^([a-z]+(?:\s*[-,]\s*[a-z]+)*)\s*:?\s+(.+)$/i);
+    const days = match ? parseDaySpec(match[1]) : null;
+    const ranges = parseTimeRanges(days ? match[2] : rule);
+
+    if (!ranges) return null;
+    for (const day of days || [0, 1, 2, 3, 4, 5, 6]) {
+      week[day] = ranges;
+    }
+  }
+
+  return week;
+}
+
+function getHotelTimezone(phone) {
+  const hotel = loadHotels().find(h => h.phone === phone);
+  return (hotel && hotel.timezone) || hotelConfig.timezone;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Day of week and minutes since midnight in the hotel's timezone
+function getLocalTime(timezone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = type => parts.find(part => part.type === type).value;
+
+  return {
+    day: dayAliases[get('weekday').toLowerCase()],
+    minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+  };
+}
+
+function isScheduleOpen(schedule, localTime) {
+  const { day, minutes } = localTime;
+  const yesterday = (day + 6) % 7;
+
+  return schedule[day].some(([start, end]) => minutes >= start && minutes < end) ||
+    schedule[yesterday].some(([, end]) => end > 1440 && minutes < end - 1440);
+}
+
+// { dayOffset, minutes } of the next opening within a week, or null if never open
+function findNextOpening(schedule, localTime) {
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = (localTime.day + offset) % 7;
+    const starts = schedule[day]
+      .map(([start]) => start)
+      .filter(start => offset > 0 || start > localTime.minutes)
+      .sort((a, b) => a - b);
+
+    if (starts.length > 0) {
+      return { dayOffset: offset, day, minutes: starts[0] };
+    }
+  }
+  return null;
+}
+
+function formatClockTime(minutes) {
+  const hours24 = Math.floor(minutes / 60) % 24;
+  const hours12 = hours24 % 12 || 12;
+  return `${hours12}:${String(minutes % 60).padStart(2, '0')} ${hours24 < 12 ? 'AM' : 'PM'}`;
+}
+
+function describeNextOpening(next, language = 'en') {
+  if (!next) return phrase(language, 'notOpenThisWeek');
+  const time = formatClockTime(next.minutes);
+  if (next.dayOffset === 0) return phrase(language, 'opensToday', { time });
+  if (next.dayOffset === 1) return phrase(language, 'opensTomorrow', { time });
+  return phrase(language, 'opensOn', { day: (supportedLanguages[language].weekdays || dayNames)[next.day], time });
+}
+
+/**
+ * Is a menu category open right now? Categories without hours, or with
+ * hours we can't parse, are treated as always open. `next` is the next
+ * opening for describeNextOpening in the guest's language.
+ */
+function getCategoryStatus(phone, category, menuConfig = loadMenuConfig(phone), date = new Date()) {
+  const schedule = parseHoursSchedule(menuConfig.hours[category]);
+  if (!schedule) {
+    return { open: true, next: null, nextOpening: null };
+  }
+
+  const localTime = getLocalTime(getHotelTimezone(phone), date);
+  const open = isScheduleOpen(schedule, localTime);
+  const next = open ? null : findNextOpening(schedule, localTime);
+
+  return {
+    open,
+    next,
+    nextOpening: open ? null : describeNextOpening(next)
+  };
+}
+
+function formatCategoryName(category) {
+  return category.charAt(0).toUpperCase() + category.slice(1);
+}
+
+/**
+ * Get fresh menu items for a specific hotel, flattened with their category
+ */
+function getAllMenuItems(phone) {
+  const currentMenuConfig = loadMenuConfig(phone);
+
+  return currentMenuConfig.categories.flatMap(category =>
+    currentMenuConfig.menu[category].map(item => ({ ...item, category }))
+  );
+}
+
+// Express app setup
+const app = express();
+const server = http.createServer(app);
+const io = new Server(server);
+const PORT = 3000;
+
+app.use(cors());
+app.use(express.json());
+app.use(express.static(path.join(__dirname, 'templates')));
+
+/**
+ * Session management
+ *
+ * Logins exchange credentials once for an opaque access token (short-lived)
+ * and a refresh token (long-lived). Both are kept in memory only, so a
+ * server restart signs everyone out.
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function createSession(subject) {
+  const now = Date.now();
+  const session = {
+    ...subject,
+    token: generateToken(),
+    refreshToken: generateToken(),
+    createdAt: now,
+    expiresAt: now + hotelConfig.sessionTtlMs,
+    refreshExpiresAt: now + hotelConfig.refreshTtlMs
+  };
+
+  sessions.set(session.token, session);
+  refreshTokens.set(session.refreshToken, session.token);
+  return session;
+}
+
+function getSession(token) {
+  if (!token) return null;
+
+  // Expired access tokens stay in the map until their refresh window closes
+  const session = sessions.get(token);
+  if (!session || session.expiresAt <= Date.now()) return null;
+
+  return session;
+}
+
+// Only for the role's own refresh endpoint; a token sent to the other one is left as it is
+function refreshSession(refreshToken, role) {
+  const token = refreshTokens.get(refreshToken);
+  const session = token && sessions.get(token);
+  if (session && session.role !== role) return null;
+  if (!session || session.refreshExpiresAt <= Date.now()) {
+    if (token) revokeSession(token);
+    return null;
+  }
+
+  // Rotate both tokens so a leaked refresh token can only be used once
+  const rotated = createSession({
+    role: session.role,
+    hotelId: session.hotelId,
+    adminId: session.adminId,
+    username: session.username
+  });
+
+  // Live sockets stay connected; the client would not reconnect after a server-side disconnect
+  rebindSessionSockets(token, rotated.token);
+  revokeSession(token);
+  return rotated;
+}
+
+function revokeSession(token) {
+  const session = sessions.get(token);
+  if (session) {
+    refreshTokens.delete(session.refreshToken);
+  }
+  sessions.delete(token);
+  disconnectSessionSockets(token);
+}
+
+// Revoke every session matching the predicate (e.g. all sessions of a deleted hotel)
+function revokeSessionsWhere(predicate) {
+  for (const session of [...sessions.values()]) {
+    if (predicate(session)) {
+      revokeSession(session.token);
+    }
+  }
+}
+
+function sessionResponse(session) {
+  return {
+    token: session.token,
+    refreshToken: session.refreshToken,
+    expiresAt: new Date(session.expiresAt).toISOString()
+  };
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// Drop sessions whose refresh window has passed
+setInterval(() => {
+  const now = Date.now();
+  revokeSessionsWhere(session => session.refreshExpiresAt <= now);
+}, 10 * 60 * 1000).unref();
+
+// Authentication middleware
+function authenticateHotel(req, res, next) {
+  const session = getSession(getBearerToken(req));
+
+  if (session && session.role === 'hotel') {
+    const hotel = loadHotels().find(h => h.id === session.hotelId);
+
+    if (hotel) {
+      req.hotel = hotel;
+      req.session = session;
+      return next();
+    }
+
+    // Hotel was deleted after login
+    revokeSession(session.token);
+  }
+
+  res.status(401).json({ error: 'Authentication failed' });
+}
+
+function authenticateSuperAdmin(req, res, next) {
+  const session = getSession(getBearerToken(req));
+
+  if (session && session.role === 'superadmin') {
+    const admin = loadSuperAdmins().find(a => a.id === session.adminId);
+
+    if (admin) {
+      req.superAdmin = admin;
+      req.session = session;
+      return next();
+    }
+
+    // Account was removed after login
+    revokeSession(session.token);
+  }
+
+  res.status(401).json({ error: 'Authentication failed' });
+}
+
+// Super Admin Routes
+app.post('/api/superadmin/login', (req, res) => {
+  const { username, password } = req.body;
+  
+  const admin = typeof password === 'string' && loadSuperAdmins().find(a => 
+    a.username === username && 
+    bcrypt.compareSync(password, a.password)
+  );
+  
+  if (admin) {
+    const session = createSession({ role: 'superadmin', adminId: admin.id, username: admin.username });
+    res.json({ success: true, message: 'Login successful', ...sessionResponse(session) });
+  } else {
+    res.status(401).json({ error: 'Invalid credentials' });
+  }
+});
+
+app.post('/api/superadmin/refresh', (req, res) => {
+  const session = refreshSession(req.body.refreshToken, 'superadmin');
+
+  if (!session) {
+    return res.status(401).json({ error: 'Invalid or expired refresh token' });
+  }
+
+  res.json({ success: true, ...sessionResponse(session) });
+});
+
+app.post('/api/superadmin/logout', (req, res) => {
+  const token = getBearerToken(req);
+  if (token) {
+    revokeSession(token);
+  }
+  res.json({ success: true, message: 'Logged out' });
+});
+
+app.get('/api/superadmin/admins', authenticateSuperAdmin, (req, res) => {
+  const admins = loadSuperAdmins().map(admin => ({ ...admin, password: undefined }));
+  res.json(admins);
+});
+
+app.post('/api/superadmin/admins', authenticateSuperAdmin, (req, res) => {
+  const { username, password } = req.body;
+  
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+  
+  const admins = loadSuperAdmins();
+  if (admins.find(a => a.username === username)) {
+    return res.status(400).json({ error: 'Username already exists' });
+  }
+  
+  const newAdmin = {
+    id: Date.now(),
+    username,
+    password: bcrypt.hashSync(password, 10),
+    createdAt: new Date().toISOString()
+  };
+  
+  admins.push(newAdmin);
+  saveSuperAdmins(admins);
+  
+  res.json({ success: true, admin: { ...newAdmin, password: undefined } });
+});
+
+app.put('/api/superadmin/admins/:id', authenticateSuperAdmin, (req, res) => {
+  const { id } = req.params;
+  const { password } = req.body;
+  
+  if (!password) {
+    return res.status(400).json({ error: 'Password is required' });
+  }
+  
+  const admins = loadSuperAdmins();
+  const admin = admins.find(a => a.id === parseInt(id));
+  
+  if (!admin) {
+    return res.status(404).json({ error: 'Super admin not found' });
+  }
+  
+  admin.password = bcrypt.hashSync(password, 10);
+  saveSuperAdmins(admins);
+  
+  // Sign out other sessions of this account
+  revokeSessionsWhere(session => 
+    session.role === 'superadmin' && 
+    session.adminId === admin.id && 
+    session.token !== req.session.token
+  );
+  
+  res.json({ success: true, admin: { ...admin, password: undefined } });
+});
+
+app.delete('/api/superadmin/admins/:id', authenticateSuperAdmin, (req, res) => {
+  const { id } = req.params;
+  
+  const admins = loadSuperAdmins();
+  const adminIndex = admins.findIndex(a => a.id === parseInt(id));
+  
+  if (adminIndex === -1) {
+    return res.status(404).json({ error: 'Super admin not found' });
+  }
+  
+  if (admins.length === 1) {
+    return res.status(400).json({ error: 'Cannot delete the last super admin' });
+  }
+  
+  const [removed] = admins.splice(adminIndex, 1);
+  saveSuperAdmins(admins);
+  revokeSessionsWhere(session => session.role === 'superadmin' && session.adminId === removed.id);
+  
+  res.json({ success: true, message: 'Super admin deleted successfully' });
+});
+
+app.get('/api/superadmin/hotels', authenticateSuperAdmin, (req, res) => {
+  const hotels = loadHotels().map(hotel => {
+    const clientState = clientStates.get(hotel.phone);
+    const isConnected = clientState ? clientState.isConnected : false;
+    return {
+      ...hotel,
+      botStatus: isConnected ? 'connected' : 'disconnected',
+      password: undefined // Remove password from response
+    };
+  });
+  res.json(hotels);
+});
+
+app.post('/api/superadmin/hotels', authenticateSuperAdmin, (req, res) => {
+  const { hotelName, username, password, phone, timezone, orderChangeGraceMinutes } = req.body;
+  
+  if (!hotelName || !username || !password || !phone) {
+    return res.status(400).json({ error: 'All fields are required' });
+  }
+  
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({ error: 'Unknown timezone' });
+  }
+
+  if (orderChangeGraceMinutes !== undefined && !isValidGraceMinutes(orderChangeGraceMinutes)) {
+    return res.status(400).json({ error: 'orderChangeGraceMinutes must be a whole number of minutes' });
+  }
+  
+  const hotels = loadHotels();
+  
+  // Check if username or phone already exists
+  if (hotels.find(h => h.username === username)) {
+    return res.status(400).json({ error: 'Username already exists' });
+  }
+  
+  if (hotels.find(h => h.phone === phone)) {
+    return res.status(400).json({ error: 'Phone number already registered' });
+  }
+  
+  const hashedPassword = bcrypt.hashSync(password, 10);
+  const newHotel = {
+    id: Date.now(),
+    hotelName,
+    username,
+    password: hashedPassword,
+    phone,
+    timezone: timezone || hotelConfig.timezone,
+    orderChangeGraceMinutes: orderChangeGraceMinutes !== undefined ? Number(orderChangeGraceMinutes) : hotelConfig.orderChangeGraceMinutes,
+    createdAt: new Date().toISOString(),
+    botConnected: false, // Start as disconnected
+    autoConnect: true // New field to track auto-reconnect preference
+  };
+  
+  hotels.push(newHotel);
+  saveHotels(hotels);
+  
+  res.json({ success: true, hotel: { ...newHotel, password: undefined } });
+});
+
+app.put('/api/superadmin/hotels/:id', authenticateSuperAdmin, (req, res) => {
+  const { id } = req.params;
+  const { hotelName, username, password, phone, timezone, orderChangeGraceMinutes } = req.body;
+  
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({ error: 'Unknown timezone' });
+  }
+
+  if (orderChangeGraceMinutes !== undefined && !isValidGraceMinutes(orderChangeGraceMinutes)) {
+    return res.status(400).json({ error: 'orderChangeGraceMinutes must be a whole number of minutes' });
+  }
+  
+  const hotels = loadHotels();
+  const hotelIndex = hotels.findIndex(h => h.id === parseInt(id));
+  
+  if (hotelIndex === -1) {
+    return res.status(404).json({ error: 'Hotel not found' });
+  }
+  
+  // Check if username or phone already exists (excluding current hotel)
+  if (hotels.find((h, index) => index !== hotelIndex && h.username === username)) {
+    return res.status(400).json({ error: 'Username already exists' });
+  }
+  
+  if (hotels.find((h, index) => index !== hotelIndex && h.phone === phone)) {
+    return res.status(400).json({ error: 'Phone number already registered' });
+  }
+  
+  hotels[hotelIndex].hotelName = hotelName;
+  hotels[hotelIndex].username = username;
+  hotels[hotelIndex].phone = phone;
+  
+  if (timezone) {
+    hotels[hotelIndex].timezone = timezone;
+  }
+
+  if (orderChangeGraceMinutes !== undefined) {
+    hotels[hotelIndex].orderChangeGraceMinutes = Number(orderChangeGraceMinutes);
+  }
+  
+  if (password) {
+    hotels[hotelIndex].password = bcrypt.hashSync(password, 10);
+    revokeSessionsWhere(session => session.role === 'hotel' && session.hotelId === hotels[hotelIndex].id);
+  }
+  
+  saveHotels(hotels);
+  res.json({ success: true, hotel: { ...hotels[hotelIndex], password: undefined } });
+});
+
+app.delete('/api/superadmin/hotels/:id', authenticateSuperAdmin, (req, res) => {
+  const { id } = req.params;
+  
+  const hotels = loadHotels();
+  const hotelIndex = hotels.findIndex(h => h.id === parseInt(id));
+  
+  if (hotelIndex === -1) {
+    return res.status(404).json({ error: 'Hotel not found' });
+  }
+  
+  const hotel = hotels[hotelIndex];
+  
+  // Disconnect bot if connected
+  disconnectBotForHotel(hotel.phone);
+  revokeSessionsWhere(session => session.role === 'hotel' && session.hotelId === hotel.id);
+  
+  hotels.splice(hotelIndex, 1);
+  saveHotels(hotels);
+  
+  res.json({ success: true, message: 'Hotel deleted successfully' });
+});
+
+app.post('/api/superadmin/hotels/:id/connect', authenticateSuperAdmin, (req, res) => {
+  const { id } = req.params;
+  
+  const hotels = loadHotels();
+  const hotel = hotels.find(h => h.id === parseInt(id));
+  
+  if (!hotel) {
+    return res.status(404).json({ error: 'Hotel not found' });
+  }
+  
+  // Check if bot is already connected
+  const clientState = clientStates.get(hotel.phone);
+  if (clientState && clientState.isConnected) {
+    return res.json({ success: true, connected: true, message: 'Bot already connected' });
+  }
+  
+  // Update hotel auto-connect preference
+  const hotelIndex = hotels.findIndex(h => h.id === parseInt(id));
+  if (hotelIndex !== -1) {
+    hotels[hotelIndex].autoConnect = true;
+    saveHotels(hotels);
+  }
+  
+  // Start bot connection
+  startBotForHotel(hotel.phone, hotel.hotelName);
+  
+  res.json({ success: true, connected: false, message: 'Bot connection initiated' });
+});
+
+app.post('/api/superadmin/hotels/:id/disconnect', authenticateSuperAdmin, (req, res) => {
+  const { id } = req.params;
+  
+  const hotels = loadHotels();
+  const hotel = hotels.find(h => h.id === parseInt(id));
+  
+  if (!hotel) {
+    return res.status(404).json({ error: 'Hotel not found' });
+  }
+  
+  // Update hotel auto-connect preference
+  const hotelIndex = hotels.findIndex(h => h.id === parseInt(id));
+  if (hotelIndex !== -1) {
+    hotels[hotelIndex].autoConnect = false;
+    saveHotels(hotels);
+  }
+  
+  // Disconnect bot
+  disconnectBotForHotel(hotel.phone);
+  
+  res.json({ success: true, message: 'Bot disconnected successfully' });
+});
+
+app.get('/api/superadmin/hotels/:id/qr', authenticateSuperAdmin, (req, res) => {
+  const { id } = req.params;
+  
+  const hotels = loadHotels();
+  const hotel = hotels.find(h => h.id === parseInt(id));
+  
+  if (!hotel) {
+    return res.status(404).json({ error: 'Hotel not found' });
+  }
+  
+  const qrData = hotelQRs.get(hotel.phone);
+  if (!qrData) {
+    return res.status(404).json({ error: 'No QR code available' });
+  }
+  
+  res.json({ qr: qrData });
+});
+
+// Hotel Admin Routes
+app.post('/api/hotel/login', (req, res) => {
+  const { phone, username, password } = req.body;
+  
+  const hotels = loadHotels();
+  const hotel = hotels.find(h => 
+    h.phone === phone && 
+    h.username === username && 
+    bcrypt.compareSync(password, h.password)
+  );
+  
+  if (hotel) {
+    const session = createSession({ role: 'hotel', hotelId: hotel.id, username: hotel.username });
+    res.json({ 
+      success: true, 
+      message: 'Login successful',
+      ...sessionResponse(session),
+      hotel: {
+        id: hotel.id,
+        hotelName: hotel.hotelName,
+        username: hotel.username,
+        phone: hotel.phone
+      }
+    });
+  } else {
+    res.status(401).json({ error: 'Invalid credentials' });
+  }
+});
+
+app.post('/api/hotel/refresh', (req, res) => {
+  const session = refreshSession(req.body.refreshToken, 'hotel');
+
+  if (!session) {
+    return res.status(401).json({ error: 'Invalid or expired refresh token' });
+  }
+
+  res.json({ success: true, ...sessionResponse(session) });
+});
+
+app.post('/api/hotel/logout', (req, res) => {
+  const token = getBearerToken(req);
+  if (token) {
+    revokeSession(token);
+  }
+  res.json({ success: true, message: 'Logged out' });
+});
+
+// Hotel-specific API endpoints
+/**
+ * GET /api/orders
+ *
+ * ?status=Pending,Confirmed  ?room=101  ?guest=98765  ?q=pizza (items, room or guest)
+ * ?from=YYYY-MM-DD&to=YYYY-MM-DD (hotel-local dates)  ?sort=newest|oldest|room
+ * ?page=1&pageSize=50 (max 200)
+ */
+function parseOrderQuery(query, phone) {
+  const { status, room, guest, q, from, to, sort = 'newest' } = query;
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const pageSize = query.pageSize === undefined ? 50 : Number(query.pageSize);
+
+  if (!orderSorts[sort]) return { error: `sort must be one of: ${Object.keys(orderSorts).join(', ')}.` };
+  if (!Number.isInteger(page) || page < 1) return { error: 'page must be a positive whole number.' };
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 200) return { error: 'pageSize must be between 1 and 200.' };
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    return { error: 'from and to must be dates like 2024-01-31.' };
+  }
+
+  const workflow = getOrderWorkflow(phone);
+  const timezone = getHotelTimezone(phone);
+  const text = value => typeof value === 'string' && value.trim() ? value.trim() : null;
+
+  return {
+    statuses: text(status) ? status.split(',').map(value => resolveOrderStatus(workflow, value) || value.trim()) : null,
+    room: text(room),
+    guest: text(guest),
+    search: text(q),
+    since: from ? localDayStart(from, timezone) : null,
+    until: to ? localDayStart(addDays(to, 1), timezone) : null,
+    sort,
+    page,
+    pageSize,
+    limit: pageSize,
+    offset: (page - 1) * pageSize
+  };
+}
+
+app.get('/api/orders', authenticateHotel, (req, res) => {
+  const query = parseOrderQuery(req.query, req.hotel.phone);
+  if (query.error) return res.status(400).json({ error: query.error });
+
+  const { orders, total, statusCounts } = storage.queryOrders(req.hotel.phone, query);
+  res.json({
+    orders,
+    total,
+    page: query.page,
+    pageSize: query.pageSize,
+    totalPages: Math.max(1, Math.ceil(total / query.pageSize)),
+    statusCounts
+  });
+});
+
+/**
+ * Items for a dashboard order: menu items by id or name (priced from the
+ * menu), or off-menu items with an explicit price.
+ */
+function resolveOrderItems(phone, items) {
+  const menuItems = getAllMenuItems(phone);
+  const errors = [];
+
+  const lines = items.map((entry, index) => {
+    const item = typeof entry === 'string' ? { name: entry } : (entry && typeof entry === 'object' ? entry : {});
+    const name = typeof item.name === 'string' ? item.name.trim() : '';
+    const quantity = item.quantity === undefined ? 1 : item.quantity;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`Item ${index + 1}: quantity must be a whole number of at least 1.`);
+      return null;
+    }
+
+    const wanted = name.toLowerCase();
+    const menuItem = menuItems.find(candidate =>
+      (item.id !== undefined && candidate.id === String(item.id)) ||
+      (wanted && (candidate.name.toLowerCase() === wanted || candidate.aliases.some(alias => alias.toLowerCase() === wanted)))
+    );
+    if (menuItem) return createOrderLine(menuItem, quantity);
+
+    if (!name) {
+      errors.push(`Item ${index + 1}: ${item.id !== undefined ? `no menu item has id ${item.id}` : 'a name or menu item id is required'}.`);
+    } else if (typeof item.price !== 'number' || item.price < 0) {
+      errors.push(`Item ${index + 1}: "${name}" is not on the menu, so it needs a price.`);
+    } else {
+      return { id: null, name, category: null, quantity, price: item.price, modifiers: [] };
+    }
+    return null;
+  });
+
+  return errors.length > 0 ? { errors } : { items: toOrderItems(lines) };
+}
+
+app.post('/api/orders', authenticateHotel, async (req, res) => {
+  const { room, items, guestNumber, promoCode } = req.body;
+  const hotelPhone = req.hotel.phone;
+
+  if (!room || typeof room !== 'string' || !room.trim()) {
+    return res.status(400).json({ error: 'Room is required and must be a non-empty string.' });
+  }
+  if (!isKnownRoom(hotelPhone, room)) {
+    return res.status(400).json({ error: `Room ${room.trim()} is not in the room registry.` });
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'Items must be a non-empty array.' });
+  }
+
+  // Stored as the WhatsApp chat id, the way orders from WhatsApp have it
+  const hasGuestNumber = guestNumber !== undefined && guestNumber !== null && String(guestNumber).trim() !== '';
+  const guestChatId = hasGuestNumber ? normalizeGuestNumber(guestNumber) : null;
+  if (hasGuestNumber && !guestChatId) {
+    return res.status(400).json({ error: 'guestNumber must be a WhatsApp number.' });
+  }
+
+  const resolved = resolveOrderItems(hotelPhone, items);
+  if (resolved.errors) {
+    return res.status(400).json({ error: 'Invalid items', details: resolved.errors });
+  }
+
+  const pricing = priceOrder(hotelPhone, resolved.items, { promoCode: typeof promoCode === 'string' ? promoCode : null });
+  if (promoCode && !pricing.promoCode) {
+    const discounted = pricing.subtotal - pricing.discounts.reduce((sum, discount) => sum + discount.amount, 0);
+    return res.status(400).json({ error: promoCodeProblem(hotelPhone, String(promoCode), discounted) || `Promo code ${promoCode} can't be used on this order.` });
+  }
+
+  const newOrder = {
+    id: Date.now(),
+    room: room.trim(),
+    items: resolved.items,
+    total: pricing.total,
+    pricing,
+    currency: loadMenuConfig(hotelPhone).currency,
+    guestNumber: guestChatId,
+    status: getOrderWorkflow(hotelPhone).initial,
+    timestamp: new Date().toISOString(),
+  };
+  const stay = newOrder.guestNumber && findCurrentStay(hotelPhone, newOrder.guestNumber);
+  newOrder.stayId = stay && stay.room === newOrder.room ? stay.id : null;
+  newOrder.history = [{ status: newOrder.status, at: newOrder.timestamp, by: req.session.username, reason: null }];
+
+  addOrder(hotelPhone, newOrder);
+  emitToHotel(hotelPhone, 'order:created', newOrder);
+
+  // Notify manager/admin using whatsapp-web.js client
+  const client = activeClients.get(hotelPhone);
+  if (client && isClientConnected(hotelPhone)) {
+    const adminNumber = `${hotelPhone}@c.us`;
+    const language = hotelLanguage(hotelPhone);
+    const summary = botMessage(hotelPhone, 'newOrderAlert', {
+      orderId: newOrder.id,
+      room: newOrder.room,
+      items: newOrder.items.map(item => describeOrderItem(item, language)).join('\n'),
+      guest: newOrder.guestNumber || 'staff'
+    }, language);
+
+    if (await safeSendMessage(client, hotelPhone, adminNumber, summary)) {
+      console.log(`📤 Notified manager of new order #${newOrder.id}`);
+    }
+  }
+
+  res.status(201).json({ success: true, order: newOrder });
+});
+
+app.get('/api/order-workflow', authenticateHotel, (req, res) => {
+  res.json(getOrderWorkflow(req.hotel.phone));
+});
+
+app.put('/api/order-workflow', authenticateHotel, (req, res) => {
+  const workflow = req.body;
+  const errors = validateOrderWorkflow(workflow);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid workflow', details: errors });
+  }
+
+  const hotels = loadHotels();
+  const hotel = hotels.find(h => h.id === req.hotel.id);
+  hotel.orderWorkflow = {
+    initial: workflow.initial,
+    statuses: Object.fromEntries(Object.entries(workflow.statuses).map(([name, definition]) => [name, {
+      next: definition.next,
+      ...(definition.notify ? { notify: definition.notify } : {}),
+      ...(definition.completed ? { completed: true } : {}),
+      ...(definition.requiresReason ? { requiresReason: true } : {})
+    }]))
+  };
+  saveHotels(hotels);
+
+  res.json({ success: true, workflow: hotel.orderWorkflow });
+});
+
+app.delete('/api/order-workflow', authenticateHotel, (req, res) => {
+  const hotels = loadHotels();
+  delete hotels.find(h => h.id === req.hotel.id).orderWorkflow;
+  saveHotels(hotels);
+
+  res.json({ success: true, workflow: defaultOrderWorkflow });
+});
+
+app.post('/api/orders/:id/status', authenticateHotel, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { reason } = req.body;
+  const hotelPhone = req.hotel.phone;
+  const workflow = getOrderWorkflow(hotelPhone);
+
+  const status = resolveOrderStatus(workflow, req.body.status);
+  if (!status) {
+    return res.status(400).json({ error: 'Invalid status value.' });
+  }
+
+  const order = findOrder(hotelPhone, id);
+  if (!order) return res.status(404).json({ error: 'Order not found.' });
+
+  if (!canTransition(workflow, order.status, status)) {
+    return res.status(409).json({ error: `Cannot change an order from ${order.status} to ${status}.` });
+  }
+
+  const definition = workflow.statuses[status];
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (definition.requiresReason && !trimmedReason) {
+    return res.status(400).json({ error: `A reason is required to mark an order ${status}.` });
+  }
+
+  recordStatusChange(order, status, { by: req.session.username, reason: trimmedReason || null });
+  updateOrder(hotelPhone, order);
+  emitToHotel(hotelPhone, 'order:updated', order);
+  const guestNumber = order.guestNumber;
+
+  // Notify guest via whatsapp-web.js
+  const client = activeClients.get(hotelPhone);
+  if (client && guestNumber && isClientConnected(hotelPhone)) {
+    if (definition.notify) {
+      const language = guestLanguage(hotelPhone, guestNumber);
+      if (await safeSendMessage(client, hotelPhone, guestNumber, formatStatusNotification(definition.notify, order, trimmedReason, language), undefined, { intent: 'order_status', orderId: order.id })) {
+        console.log(`📩 WhatsApp update sent to guest ${guestNumber} → ${status}`);
+      }
+    }
+
+    if (definition.completed && !order.rating) {
+      await requestRating(client, hotelPhone, order);
+    }
+  }
+
+  res.json({ success: true, order });
+});
+
+// Must stay above /api/orders/:id so "cleanup" isn't taken for an order id
+app.delete('/api/orders/cleanup', authenticateHotel, async (req, res) => {
+  try {
+    const { statuses } = req.body;
+    const hotelPhone = req.hotel.phone;
+
+    if (!Array.isArray(statuses) || statuses.length === 0) {
+      return res.status(400).json({ error: 'statuses must be a non-empty array.' });
+    }
+
+    const workflow = getOrderWorkflow(hotelPhone);
+    const removable = statuses.map(status => resolveOrderStatus(workflow, status) || status);
+
+    const orders = loadOrders(hotelPhone);
+    const removedIds = orders.filter(order => removable.includes(order.status)).map(order => order.id);
+    saveOrders(hotelPhone, orders.filter(order => !removable.includes(order.status)));
+    if (removedIds.length > 0) {
+      emitToHotel(hotelPhone, 'orders:deleted', { ids: removedIds });
+    }
+    res.json({ message: `Removed all orders with status: ${removable.join(', ')}` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/orders/:id', authenticateHotel, (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const hotelPhone = req.hotel.phone;
+  
+  if (!removeOrder(hotelPhone, id)) return res.status(404).json({ error: 'Order not found.' });
+
+  emitToHotel(hotelPhone, 'order:deleted', { id });
+
+  res.json({ success: true, message: `Order ${id} deleted.` });
+});
+
+
+/**
+ * Guest feedback
+ *
+ * Ratings live on the order they belong to (order.rating). The summary can be
+ * limited to a local date range (?from=YYYY-MM-DD&to=YYYY-MM-DD) and grouped
+ * by ?period=day|week|month in the hotel's timezone.
+ */
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+// "YYYY-MM-DD" of a moment in the given timezone
+function localDateKey(date, timezone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).format(date);
+}
+
+// UTC offset of a timezone at a given moment, in ms
+function timezoneOffsetMs(date, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// ISO time of local midnight starting "YYYY-MM-DD" in the timezone
+function localDayStart(day, timezone) {
+  const midnightUtc = new Date(`${day}T00:00:00Z`);
+  const guess = new Date(midnightUtc - timezoneOffsetMs(midnightUtc, timezone));
+  return new Date(midnightUtc - timezoneOffsetMs(guess, timezone)).toISOString();
+}
+
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Day, Monday-based week start ("2026-10-12") or month ("2026-10") a moment falls in
+function periodKey(date, period, timezone) {
+  const day = localDateKey(date, timezone);
+  if (period === 'month') return day.slice(0, 7);
+  if (period === 'week') {
+    const start = new Date(`${day}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+    return start.toISOString().slice(0, 10);
+  }
+  return day;
+}
+
+function averageOf(scores) {
+  if (scores.length === 0) return null;
+  return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 100) / 100;
+}
+
+function summarizeFeedback(orders, { period, timezone }) {
+  const scores = orders.map(order => order.rating.score);
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  scores.forEach(score => { distribution[score]++; });
+
+  const byItem = new Map();
+  const byPeriod = new Map();
+
+  for (const order of orders) {
+    for (const item of order.items) {
+      const key = item.id || item.name;
+      if (!byItem.has(key)) byItem.set(key, { id: item.id || null, name: item.name, scores: [] });
+      byItem.get(key).scores.push(order.rating.score);
+    }
+
+    const key = periodKey(new Date(order.rating.ratedAt), period, timezone);
+    if (!byPeriod.has(key)) byPeriod.set(key, []);
+    byPeriod.get(key).push(order.rating.score);
+  }
+
+  return {
+    count: scores.length,
+    average: averageOf(scores),
+    distribution,
+    items: [...byItem.values()]
+      .map(({ id, name, scores }) => ({ id, name, count: scores.length, average: averageOf(scores) }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    periods: [...byPeriod.entries()]
+      .map(([key, scores]) => ({ period: key, count: scores.length, average: averageOf(scores) }))
+      .sort((a, b) => a.period.localeCompare(b.period)),
+    recent: orders
+      .slice()
+      .sort((a, b) => new Date(b.rating.ratedAt) - new Date(a.rating.ratedAt))
+      .slice(0, 20)
+      .map(order => ({
+        orderId: order.id,
+        room: order.room,
+        guestNumber: order.guestNumber,
+        score: order.rating.score,
+        comment: order.rating.comment,
+        ratedAt: order.rating.ratedAt
+      }))
+  };
+}
+
+app.get('/api/feedback', authenticateHotel, (req, res) => {
+  const { from, to, period = 'day' } = req.query;
+
+  if (!['day', 'week', 'month'].includes(period)) {
+    return res.status(400).json({ error: 'period must be day, week or month.' });
+  }
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    return res.status(400).json({ error: 'from and to must be dates like 2024-01-31.' });
+  }
+
+  const timezone = getHotelTimezone(req.hotel.phone);
+  const rated = loadOrders(req.hotel.phone).filter(order => {
+    if (!order.rating) return false;
+    const day = localDateKey(new Date(order.rating.ratedAt), timezone);
+    return (!from || day >= from) && (!to || day <= to);
+  });
+
+  res.json({ period, timezone, ...summarizeFeedback(rated, { period, timezone }) });
+});
+
+/**
+ * Reports
+ *
+ * Sales figures (revenue, items, categories, rooms) count completed orders
+ * only; response times and rejection rates look at every order. All
+ * endpoints take ?from=YYYY-MM-DD&to=YYYY-MM-DD (local dates in the hotel's
+ * timezone) and ?format=csv. Revenue is grouped by ?period=day|week|month.
+ */
+function parseReportQuery(query) {
+  const { from, to, period = 'day', format = 'json' } = query;
+
+  if (!['day', 'week', 'month'].includes(period)) return { error: 'period must be day, week or month.' };
+  if (!['json', 'csv'].includes(format)) return { error: 'format must be json or csv.' };
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    return { error: 'from and to must be dates like 2024-01-31.' };
+  }
+  if (from && to && from > to) return { error: 'from must not be after to.' };
+
+  return { from: from || null, to: to || null, period, format };
+}
+
+function orderTotal(order) {
+  if (typeof order.total === 'number') return order.total;
+  return (order.items || []).reduce((sum, item) => sum + (item.subtotal ?? (item.price || 0) * (item.quantity || 1)), 0);
+}
+
+// Minutes from placing the order until it first reached `status`, or null
+function minutesToStatus(order, status) {
+  const entry = (order.history || []).find(change => change.status === status);
+  if (!entry) return null;
+  return (new Date(entry.at) - new Date(order.timestamp)) / 60000;
+}
+
+// Minutes until the hotel first acted on the order (guest edits don't count), or null
+function minutesToFirstResponse(order) {
+  const entry = (order.history || []).slice(1).find(change => change.by !== 'guest');
+  if (!entry) return null;
+  return (new Date(entry.at) - new Date(order.timestamp)) / 60000;
+}
+
+function averageMinutes(values) {
+  return values.length ? roundTo(values.reduce((sum, value) => sum + value, 0) / values.length, 1) : null;
+}
+
+function roundTo(value, places = 2) {
+  return value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+}
+
+function buildHotelReport(phone, { from, to, period }) {
+  const timezone = getHotelTimezone(phone);
+  const workflow = getOrderWorkflow(phone);
+  const isCompleted = order => Boolean(workflow.statuses[order.status] && workflow.statuses[order.status].completed);
+  const isLost = order => {
+    const definition = workflow.statuses[order.status];
+    return Boolean(definition && !definition.completed && definition.next.length === 0);
+  };
+  // Guests cancelling their own order isn't the hotel turning it down
+  const isGuestCancellation = order => isLost(order) && ((order.history || []).slice(-1)[0] || {}).by === 'guest';
+
+  const orders = loadOrders(phone).filter(order => {
+    const day = localDateKey(new Date(order.timestamp), timezone);
+    return (!from || day >= from) && (!to || day <= to);
+  });
+  const completed = orders.filter(isCompleted);
+
+  const tally = (map, key, fields) => {
+    const entry = map.get(key) || Object.fromEntries(Object.keys(fields).map(field => [field, 0]));
+    Object.entries(fields).forEach(([field, value]) => { entry[field] += value; });
+    map.set(key, entry);
+  };
+
+  const byPeriod = new Map();
+  const byItem = new Map();
+  const byCategory = new Map();
+  const byRoom = new Map();
+
+  for (const order of completed) {
+    const total = orderTotal(order);
+    tally(byPeriod, periodKey(new Date(order.timestamp), period, timezone), { orders: 1, revenue: total });
+    tally(byRoom, order.room, { orders: 1, revenue: total });
+
+    for (const item of order.items) {
+      const quantity = item.quantity || 1;
+      const revenue = item.subtotal ?? (item.price || 0) * quantity;
+      tally(byItem, item.name, { quantity, revenue });
+      tally(byCategory, item.category || 'uncategorized', { quantity, revenue });
+    }
+  }
+
+  const rows = (map, keyName) => [...map.entries()].map(([key, values]) => ({
+    [keyName]: key,
+    ...Object.fromEntries(Object.entries(values).map(([field, value]) => [field, roundTo(value)]))
+  }));
+
+  // Time from placement to the first time an order reached each status
+  const responseTimes = Object.keys(workflow.statuses)
+    .filter(status => status !== workflow.initial)
+    .map(status => {
+      const minutes = orders.map(order => minutesToStatus(order, status)).filter(value => value !== null);
+      return { status, count: minutes.length, averageMinutes: averageMinutes(minutes) };
+    });
+
+  const rejected = orders.filter(order => isLost(order) && !isGuestCancellation(order));
+  const guestCancellations = orders.filter(isGuestCancellation);
+  const rejections = Object.keys(workflow.statuses)
+    .filter(status => isLost({ status }))
+    .map(status => {
+      const count = rejected.filter(order => order.status === status).length;
+      return { status, count, rate: orders.length ? roundTo(count / orders.length, 4) : null };
+    });
+
+  const revenue = completed.reduce((sum, order) => sum + orderTotal(order), 0);
+  const firstResponses = orders.map(minutesToFirstResponse).filter(value => value !== null);
+
+  return {
+    from,
+    to,
+    period,
+    timezone,
+    currency: loadMenuConfig(phone).currency,
+    totals: {
+      orders: orders.length,
+      completed: completed.length,
+      revenue: roundTo(revenue),
+      averageOrderValue: completed.length ? roundTo(revenue / completed.length) : null,
+      rejectionRate: orders.length ? roundTo(rejected.length / orders.length, 4) : null,
+      guestCancellations: guestCancellations.length,
+      guestCancellationRate: orders.length ? roundTo(guestCancellations.length / orders.length, 4) : null,
+      firstResponseMinutes: averageMinutes(firstResponses)
+    },
+    revenue: rows(byPeriod, 'period').sort((a, b) => a.period.localeCompare(b.period)),
+    items: rows(byItem, 'name').sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue),
+    categories: rows(byCategory, 'category').sort((a, b) => b.revenue - a.revenue),
+    rooms: rows(byRoom, 'room').sort((a, b) => b.orders - a.orders || a.room.localeCompare(b.room)),
+    responseTimes,
+    rejections
+  };
+}
+
+function toCsv(rows, columns) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n');
+}
+
+function sendCsv(res, filename, rows, columns) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(toCsv(rows, columns));
+}
+
+const reportSections = {
+  revenue: ['period', 'orders', 'revenue'],
+  items: ['name', 'quantity', 'revenue'],
+  categories: ['category', 'quantity', 'revenue'],
+  rooms: ['room', 'orders', 'revenue'],
+  responseTimes: ['status', 'count', 'averageMinutes'],
+  rejections: ['status', 'count', 'rate']
+};
+
+app.get('/api/reports', authenticateHotel, (req, res) => {
+  const query = parseReportQuery(req.query);
+  if (query.error) return res.status(400).json({ error: query.error });
+
+  const report = buildHotelReport(req.hotel.phone, query);
+  if (query.format === 'csv') {
+    const columns = Object.keys(report.totals);
+    return sendCsv(res, `report_${req.hotel.phone}.csv`, [report.totals], columns);
+  }
+
+  res.json(report);
+});
+
+app.get('/api/reports/:section', authenticateHotel, (req, res) => {
+  const columns = reportSections[req.params.section];
+  if (!columns) {
+    return res.status(404).json({ error: `Unknown report. Available: ${Object.keys(reportSections).join(', ')}` });
+  }
+
+  const query = parseReportQuery(req.query);
+  if (query.error) return res.status(400).json({ error: query.error });
 
-function getMenuFilePath(phone) {
-  return path.join(hotelConfig.databaseDir, `menu_${phone}.json`);
-}
+  const report = buildHotelReport(req.hotel.phone, query);
+  const rows = report[req.params.section];
 
-function loadHotels() {
-  const filePath = getHotelsFilePath();
-  if (!fs.existsSync(filePath)) {
-    fs.writeFileSync(filePath, JSON.stringify([]));
-    return [];
-  }
-  try {
-    const rawData = fs.readFileSync(filePath, 'utf-8');
-    return JSON.parse(rawData);
-  } catch (err) {
-    console.error('Failed to parse hotels.json:', err);
-    return [];
+  if (query.format === 'csv') {
+    return sendCsv(res, `${req.params.section}_${req.hotel.phone}.csv`, rows, columns);
   }
-}
 
-function saveHotels(hotels) {
-  const filePath = getHotelsFilePath();
-  fs.writeFileSync(filePath, JSON.stringify(hotels, null, 2), 'utf-8');
-}
+  res.json({ from: report.from, to: report.to, period: report.period, currency: report.currency, rows });
+});
 
-function loadOrders(phone) {
-  const filePath = getOrdersFilePath(phone);
-  if (!fs.existsSync(filePath)) {
-    fs.writeFileSync(filePath, '[]', 'utf-8');
-  }
-  try {
-    const rawData = fs.readFileSync(filePath, 'utf-8');
-    return JSON.parse(rawData);
-  } catch (err) {
-    console.error(`Failed to parse orders for ${phone}:`, err);
-    return [];
+// Cross-hotel roll-up; revenue stays per hotel since hotels may use different currencies
+app.get('/api/superadmin/reports', authenticateSuperAdmin, (req, res) => {
+  const query = parseReportQuery(req.query);
+  if (query.error) return res.status(400).json({ error: query.error });
+
+  const hotels = loadHotels().map(hotel => {
+    const report = buildHotelReport(hotel.phone, query);
+    return {
+      hotelId: hotel.id,
+      hotelName: hotel.hotelName,
+      phone: hotel.phone,
+      currency: report.currency,
+      ...report.totals
+    };
+  });
+
+  if (query.format === 'csv') {
+    const columns = ['hotelId', 'hotelName', 'phone', 'currency', 'orders', 'completed', 'revenue',
+      'averageOrderValue', 'rejectionRate', 'guestCancellationRate', 'firstResponseMinutes'];
+    return sendCsv(res, 'hotels_report.csv', hotels, columns);
   }
-}
 
-function saveOrders(phone, orders) {
-  const filePath = getOrdersFilePath(phone);
-  fs.writeFileSync(filePath, JSON.stringify(orders, null, 2), 'utf-8');
-}
+  res.json({
+    from: query.from,
+    to: query.to,
+    totals: {
+      hotels: hotels.length,
+      orders: hotels.reduce((sum, hotel) => sum + hotel.orders, 0),
+      completed: hotels.reduce((sum, hotel) => sum + hotel.completed, 0)
+    },
+    hotels
+  });
+});
 
-function loadMenuConfig(phone) {
-  const filePath = getMenuFilePath(phone);
+app.get('/api/menu', authenticateHotel, (req, res) => {
   try {
-    if (fs.existsSync(filePath)) {
-      const menuData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-      return {
-        menu: menuData.menu,
-        hours: menuData.hours,
-        categories: menuData.categories || Object.keys(menuData.menu)
-      };
-    }
+    const menuData = loadMenuConfig(req.hotel.phone);
+    res.json(menuData);
   } catch (error) {
-    console.error(`Error loading menu config for ${phone}:`, error);
+    res.status(500).json({ error: 'Failed to load menu' });
   }
+});
 
-  // Fallback to default menu
-  return {
-    menu: {
-      breakfast: ["Continental Breakfast - ₹500", "Full English Breakfast - ₹750", "Pancakes with Maple Syrup - ₹450"],
-      lunch: ["Grilled Chicken Sandwich - ₹650", "Margherita Pizza - ₹800", "Vegetable Pasta - ₹550"],
-      dinner: ["Grilled Salmon - ₹1200", "Beef Steak - ₹1500", "Vegetable Curry - ₹600"],
-      roomService: ["Club Sandwich - ₹450", "Chicken Burger - ₹550", "Chocolate Lava Cake - ₹350"]
-    },
-    hours: {
-      breakfast: "7:00 AM - 10:30 AM",
-      lunch: "12:00 PM - 3:00 PM",
-      dinner: "6:30 PM - 11:00 PM",
-      roomService: "24/7"
-    },
-    categories: ["breakfast", "lunch", "dinner", "roomService"]
-  };
-}
+app.post('/api/menu', authenticateHotel, (req, res) => {
+  try {
+    const { menu, hours, categories, currency } = req.body;
+    const hotelPhone = req.hotel.phone;
+    
+    if (!menu || typeof menu !== 'object' || !hours || typeof hours !== 'object') {
+      return res.status(400).json({ error: 'Invalid menu data' });
+    }
 
-function saveMenuConfig(phone, menuData) {
-  const filePath = getMenuFilePath(phone);
-  fs.writeFileSync(filePath, JSON.stringify(menuData, null, 2));
-}
+    const errors = validateMenuData({ menu, hours });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid menu data', details: errors });
+    }
+
+    // Strings and partial objects are upgraded to the structured item model
+    const menuConfig = normalizeMenuConfig({
+      menu,
+      hours,
+      categories: Array.isArray(categories) ? categories : undefined,
+      currency: typeof currency === 'string' && currency ? currency : undefined
+    });
+
+    saveMenuConfig(hotelPhone, menuConfig);
+    res.json({ success: true, message: 'Menu updated successfully', menu: menuConfig });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update menu' });
+  }
+});
 
 /**
- * Get fresh menu items for a specific hotel
+ * Rooms and stays
  */
-function getAllMenuItems(phone) {
-  const currentMenuConfig = loadMenuConfig(phone);
+app.get('/api/rooms', authenticateHotel, (req, res) => {
+  res.json({ rooms: loadRooms(req.hotel.phone) });
+});
 
-  return Object.values(currentMenuConfig.menu)
-    .flat()
-    .map(item => {
-      const parts = item.split(' - ');
-      const name = parts[0] ? parts[0].trim() : 'Unknown Item';
-      let price = 0;
-
-      if (parts[1]) {
-        const priceMatch = parts[1].match(/\d+/);
-        if (priceMatch) {
-          price = parseInt(priceMatch[0]);
-        }
-      }
+// Replaces the whole registry: { rooms: ["101", { number: "102", type: "Suite" }] }
+app.put('/api/rooms', authenticateHotel, (req, res) => {
+  const hotelPhone = req.hotel.phone;
+  if (!Array.isArray(req.body.rooms)) {
+    return res.status(400).json({ error: 'rooms must be an array.' });
+  }
 
-      return {
-        name: name.toLowerCase(),
-        full_name: name,
-        price: price,
-        category: Object.keys(currentMenuConfig.menu).find(
-          category => currentMenuConfig.menu[category].includes(item)
-        )
-      };
-    })
-    .filter(item => item.name !== 'unknown item');
-}
+  const rooms = req.body.rooms.map(normalizeRoom);
+  if (rooms.includes(null)) {
+    return res.status(400).json({ error: 'Room numbers must be 1-10 letters, digits or dashes.' });
+  }
+  const duplicate = rooms.find((room, index) => rooms.findIndex(r => r.number === room.number) !== index);
+  if (duplicate) {
+    return res.status(400).json({ error: `Room ${duplicate.number} is listed more than once.` });
+  }
 
-// Express app setup
-const app = express();
-const PORT = 3000;
+  const occupied = storage.getStays(hotelPhone, 'active').find(stay => !rooms.some(room => room.number === stay.room));
+  if (occupied && rooms.length > 0) {
+    return res.status(409).json({ error: `Room ${occupied.room} has a guest checked in. Check them out or move them first.` });
+  }
 
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'templates')));
+  saveRooms(hotelPhone, rooms);
+  res.json({ success: true, rooms });
+});
 
-// Authentication middleware
-function authenticateHotel(req, res, next) {
-  // Allow login endpoints without authentication
-  if (req.path === '/api/superadmin/login' || req.path === '/api/hotel/login') {
-    return next();
+// ?status=active (default; includes upcoming and overdue stays) | checked_out | all
+app.get('/api/stays', authenticateHotel, (req, res) => {
+  const { status = 'active' } = req.query;
+  if (!['active', 'checked_out', 'all'].includes(status)) {
+    return res.status(400).json({ error: 'status must be active, checked_out or all.' });
   }
 
-  // For other endpoints, check authentication
-  let authData = {};
-  
-  if (req.method === 'GET') {
-    // For GET requests, check query parameters
-    authData = {
-      phone: req.query.phone,
-      username: req.query.username,
-      password: req.query.password
-    };
-  } else {
-    // For POST/PUT/DELETE requests, check body
-    authData = req.body;
+  res.json({ stays: storage.getStays(req.hotel.phone, status === 'all' ? undefined : status) });
+});
+
+/**
+ * Check-in: { room, guestNumber, guestName?, checkInDate?, checkOutDate? }
+ * Dates are hotel-local YYYY-MM-DD. Without checkInDate the stay starts now;
+ * a later date starts at hotelConfig.checkInTime. The stay ends at
+ * hotelConfig.checkOutTime on checkOutDate (default: the next day).
+ */
+app.post('/api/stays', authenticateHotel, async (req, res) => {
+  const hotelPhone = req.hotel.phone;
+  const { checkInDate, checkOutDate, guestName } = req.body;
+  const room = typeof req.body.room === 'string' || typeof req.body.room === 'number' ? String(req.body.room).trim() : '';
+  const guestNumber = normalizeGuestNumber(req.body.guestNumber);
+  const timezone = getHotelTimezone(hotelPhone);
+  const today = localDateKey(new Date(), timezone);
+
+  if (!roomNumberPattern.test(room) || !isKnownRoom(hotelPhone, room)) {
+    return res.status(400).json({ error: 'A room from the room registry is required.' });
+  }
+  if (!guestNumber) {
+    return res.status(400).json({ error: "guestNumber must be the guest's WhatsApp number." });
+  }
+  if ((checkInDate && !datePattern.test(checkInDate)) || (checkOutDate && !datePattern.test(checkOutDate))) {
+    return res.status(400).json({ error: 'checkInDate and checkOutDate must be dates like 2024-01-31.' });
+  }
+  if (checkInDate && checkInDate < today) {
+    return res.status(400).json({ error: 'checkInDate cannot be in the past.' });
   }
 
-  const { phone, username, password } = authData;
+  const arrival = checkInDate || today;
+  const checkInAt = arrival === today ? new Date().toISOString() : localDayTime(arrival, hotelConfig.checkInTime, timezone);
+  const expectedCheckOutAt = localDayTime(checkOutDate || addDays(arrival, 1), hotelConfig.checkOutTime, timezone);
+  if (expectedCheckOutAt <= checkInAt) {
+    return res.status(400).json({ error: 'checkOutDate must be after check-in.' });
+  }
 
-  if (phone && username && password) {
-    const hotels = loadHotels();
-    const hotel = hotels.find(h => 
-      h.phone === phone && 
-      h.username === username && 
-      bcrypt.compareSync(password, h.password)
-    );
-    
-    if (hotel) {
-      req.hotel = hotel;
-      return next();
-    }
+  const overlapping = storage.getGuestStays(hotelPhone, guestNumber).find(stay =>
+    stay.status === 'active' && stay.checkInAt < expectedCheckOutAt && checkInAt < stay.expectedCheckOutAt
+  );
+  if (overlapping) {
+    return res.status(409).json({ error: `This guest is already checked in to room ${overlapping.room}.` });
   }
-  
-  res.status(401).json({ error: 'Authentication failed' });
-}
 
-// Super Admin Routes
-app.post('/api/superadmin/login', (req, res) => {
-  const { username, password } = req.body;
-  
-  if (username === hotelConfig.superAdmin.username && password === hotelConfig.superAdmin.password) {
-    res.json({ success: true, message: 'Login successful' });
-  } else {
-    res.status(401).json({ error: 'Invalid credentials' });
+  const stay = {
+    id: Date.now(),
+    room,
+    guestNumber,
+    guestName: typeof guestName === 'string' && guestName.trim() ? guestName.trim() : null,
+    checkInAt,
+    expectedCheckOutAt,
+    checkedOutAt: null,
+    status: 'active',
+    checkedInBy: req.session.username,
+    checkedOutBy: null
+  };
+  storage.insertStay(hotelPhone, stay);
+  emitToHotel(hotelPhone, 'stay:updated', stay);
+
+  const client = activeClients.get(hotelPhone);
+  if (client && isClientConnected(hotelPhone) && isStayActive(stay)) {
+    await safeSendMessage(client, hotelPhone, guestNumber, botMessage(hotelPhone, 'checkInWelcome', { room, guestName: stay.guestName || 'there' }, guestLanguage(hotelPhone, guestNumber)), undefined, { intent: 'check_in' });
   }
-});
 
-app.get('/api/superadmin/hotels', (req, res) => {
-  const hotels = loadHotels().map(hotel => {
-    const clientState = clientStates.get(hotel.phone);
-    const isConnected = clientState ? clientState.isConnected : false;
-    return {
-      ...hotel,
-      botStatus: isConnected ? 'connected' : 'disconnected',
-      password: undefined // Remove password from response
-    };
-  });
-  res.json(hotels);
+  res.status(201).json({ success: true, stay });
 });
 
-app.post('/api/superadmin/hotels', (req, res) => {
-  const { hotelName, username, password, phone } = req.body;
-  
-  if (!hotelName || !username || !password || !phone) {
-    return res.status(400).json({ error: 'All fields are required' });
+// Move a guest, extend their stay or fix their name: { room?, checkOutDate?, guestName? }
+app.put('/api/stays/:id', authenticateHotel, (req, res) => {
+  const hotelPhone = req.hotel.phone;
+  const stay = storage.getStay(hotelPhone, parseInt(req.params.id, 10));
+  const { room, checkOutDate, guestName } = req.body;
+
+  if (!stay) return res.status(404).json({ error: 'Stay not found.' });
+  if (stay.status !== 'active') {
+    return res.status(409).json({ error: 'This guest has already checked out.' });
   }
-  
-  const hotels = loadHotels();
-  
-  // Check if username or phone already exists
-  if (hotels.find(h => h.username === username)) {
-    return res.status(400).json({ error: 'Username already exists' });
+
+  if (room !== undefined) {
+    const number = typeof room === 'string' || typeof room === 'number' ? String(room).trim() : '';
+    if (!roomNumberPattern.test(number) || !isKnownRoom(hotelPhone, number)) {
+      return res.status(400).json({ error: 'A room from the room registry is required.' });
+    }
+    stay.room = number;
   }
-  
-  if (hotels.find(h => h.phone === phone)) {
-    return res.status(400).json({ error: 'Phone number already registered' });
+  if (checkOutDate !== undefined) {
+    if (!datePattern.test(checkOutDate)) {
+      return res.status(400).json({ error: 'checkOutDate must be a date like 2024-01-31.' });
+    }
+    const expectedCheckOutAt = localDayTime(checkOutDate, hotelConfig.checkOutTime, getHotelTimezone(hotelPhone));
+    if (expectedCheckOutAt <= stay.checkInAt) {
+      return res.status(400).json({ error: 'checkOutDate must be after check-in.' });
+    }
+    stay.expectedCheckOutAt = expectedCheckOutAt;
   }
-  
-  const hashedPassword = bcrypt.hashSync(password, 10);
-  const newHotel = {
-    id: Date.now(),
-    hotelName,
-    username,
-    password: hashedPassword,
-    phone,
-    createdAt: new Date().toISOString(),
-    botConnected: false, // Start as disconnected
-    autoConnect: true // New field to track auto-reconnect preference
-  };
-  
-  hotels.push(newHotel);
-  saveHotels(hotels);
-  
-  res.json({ success: true, hotel: { ...newHotel, password: undefined } });
+  if (guestName !== undefined) {
+    stay.guestName = typeof guestName === 'string' && guestName.trim() ? guestName.trim() : null;
+  }
+
+  storage.updateStay(hotelPhone, stay);
+  emitToHotel(hotelPhone, 'stay:updated', stay);
+  res.json({ success: true, stay });
 });
 
-app.put('/api/superadmin/hotels/:id', (req, res) => {
-  const { id } = req.params;
-  const { hotelName, username, password, phone } = req.body;
-  
-  const hotels = loadHotels();
-  const hotelIndex = hotels.findIndex(h => h.id === parseInt(id));
-  
-  if (hotelIndex === -1) {
-    return res.status(404).json({ error: 'Hotel not found' });
+// Checks the guest out and closes their folio; the final bill is sent to them unless { sendBill: false }
+app.post('/api/stays/:id/checkout', authenticateHotel, async (req, res) => {
+  const hotelPhone = req.hotel.phone;
+  const stay = storage.getStay(hotelPhone, parseInt(req.params.id, 10));
+
+  if (!stay) return res.status(404).json({ error: 'Stay not found.' });
+  if (stay.status !== 'active') {
+    return res.status(409).json({ error: 'This guest has already checked out.' });
   }
-  
-  // Check if username or phone already exists (excluding current hotel)
-  if (hotels.find((h, index) => index !== hotelIndex && h.username === username)) {
-    return res.status(400).json({ error: 'Username already exists' });
+
+  stay.status = 'checked_out';
+  stay.checkedOutAt = new Date().toISOString();
+  stay.checkedOutBy = req.session.username;
+  const folio = closeFolio(hotelPhone, stay, req.session.username);
+  storage.updateStay(hotelPhone, stay);
+  emitToHotel(hotelPhone, 'stay:updated', stay);
+
+  const client = activeClients.get(hotelPhone);
+  if (client && isClientConnected(hotelPhone) && req.body.sendBill !== false && folio.orders.length > 0) {
+    await sendFolio(client, hotelPhone, stay.guestNumber, folio, req.hotel.hotelName, { intent: 'check_out' });
   }
-  
-  if (hotels.find((h, index) => index !== hotelIndex && h.phone === phone)) {
-    return res.status(400).json({ error: 'Phone number already registered' });
+
+  console.log(`🧳 Guest ${stay.guestNumber} checked out of room ${stay.room}`);
+  res.json({ success: true, stay, folio });
+});
+
+// The stay's bill; ?format=pdf for the printable version
+app.get('/api/stays/:id/folio', authenticateHotel, async (req, res) => {
+  const hotelPhone = req.hotel.phone;
+  const stay = storage.getStay(hotelPhone, parseInt(req.params.id, 10));
+  if (!stay) return res.status(404).json({ error: 'Stay not found.' });
+
+  const folio = getFolio(hotelPhone, stay);
+  if (req.query.format !== 'pdf') return res.json(folio);
+
+  try {
+    const pdf = await renderFolioPdf(folio, req.hotel.hotelName, hotelPhone);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="bill-room-${folio.room}-${stay.id}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Failed to render bill PDF:', error);
+    res.status(500).json({ error: 'Failed to create the bill PDF.' });
   }
-  
-  hotels[hotelIndex].hotelName = hotelName;
-  hotels[hotelIndex].username = username;
-  hotels[hotelIndex].phone = phone;
-  
-  if (password) {
-    hotels[hotelIndex].password = bcrypt.hashSync(password, 10);
+});
+
+app.get('/api/pricing', authenticateHotel, (req, res) => {
+  res.json(getPricingRules(req.hotel.phone));
+});
+
+app.put('/api/pricing', authenticateHotel, (req, res) => {
+  const rules = req.body;
+  const errors = validatePricingRules(rules);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid pricing rules', details: errors });
   }
-  
+
+  const categories = rule => rule.categories && rule.categories.length > 0 ? { categories: rule.categories } : {};
+  const hotels = loadHotels();
+  const hotel = hotels.find(h => h.id === req.hotel.id);
+  hotel.pricing = {
+    serviceChargePercent: rules.serviceChargePercent,
+    taxes: rules.taxes.map(tax => ({ name: tax.name.trim(), percent: tax.percent, ...categories(tax) })),
+    discounts: rules.discounts.map(discount => ({
+      name: discount.name.trim(),
+      percent: discount.percent,
+      ...categories(discount),
+      ...(discount.hours ? { hours: discount.hours } : {})
+    })),
+    promoCodes: rules.promoCodes.map(promo => ({
+      code: promo.code,
+      ...(promo.percent !== undefined ? { percent: promo.percent } : { amount: promo.amount }),
+      ...(promo.minSubtotal ? { minSubtotal: promo.minSubtotal } : {}),
+      ...(promo.validUntil ? { validUntil: promo.validUntil } : {})
+    }))
+  };
   saveHotels(hotels);
-  res.json({ success: true, hotel: { ...hotels[hotelIndex], password: undefined } });
+
+  res.json({ success: true, pricing: hotel.pricing });
 });
 
-app.delete('/api/superadmin/hotels/:id', (req, res) => {
-  const { id } = req.params;
-  
+app.delete('/api/pricing', authenticateHotel, (req, res) => {
   const hotels = loadHotels();
-  const hotelIndex = hotels.findIndex(h => h.id === parseInt(id));
-  
-  if (hotelIndex === -1) {
-    return res.status(404).json({ error: 'Hotel not found' });
+  const hotel = hotels.find(h => h.id === req.hotel.id);
+  delete hotel.pricing;
+  saveHotels(hotels);
+
+  res.json({ success: true, pricing: defaultPricingRules });
+});
+
+/**
+ * Languages
+ */
+app.get('/api/languages', authenticateHotel, (req, res) => {
+  res.json({
+    ...getLanguageSettings(req.hotel.phone),
+    supported: Object.fromEntries(Object.entries(supportedLanguages).map(([code, language]) => [code, language.name]))
+  });
+});
+
+app.put('/api/languages', authenticateHotel, (req, res) => {
+  const errors = validateLanguageSettings(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid language settings', details: errors });
   }
-  
-  const hotel = hotels[hotelIndex];
-  
-  // Disconnect bot if connected
-  disconnectBotForHotel(hotel.phone);
-  
-  hotels.splice(hotelIndex, 1);
+
+  const hotels = loadHotels();
+  const hotel = hotels.find(h => h.id === req.hotel.id);
+  hotel.languages = { enabled: [...new Set(req.body.enabled)], default: req.body.default };
   saveHotels(hotels);
-  
-  res.json({ success: true, message: 'Hotel deleted successfully' });
+
+  res.json({ success: true, languages: hotel.languages });
+});
+
+/**
+ * Bot content
+ */
+// ?language=hi returns the templates guests get in that language
+app.get('/api/bot-content', authenticateHotel, (req, res) => {
+  const { language = 'en' } = req.query;
+  if (!supportedLanguages[language]) {
+    return res.status(400).json({ error: `language must be one of: ${Object.keys(supportedLanguages).join(', ')}.` });
+  }
+
+  res.json({
+    ...getBotContent(req.hotel.phone, language),
+    placeholders: Object.fromEntries(Object.entries(botTemplates).map(([key, template]) =>
+      [key, ['hotelName', 'receptionExtension', ...template.placeholders]]))
+  });
 });
 
-app.post('/api/superadmin/hotels/:id/connect', (req, res) => {
-  const { id } = req.params;
-  
+// Only the fields sent are changed; a template set to null goes back to its default
+app.put('/api/bot-content', authenticateHotel, (req, res) => {
+  const errors = validateBotContent(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid bot content', details: errors });
+  }
+
+  const { receptionExtension, contacts, amenities, faq, templates, translations } = req.body;
   const hotels = loadHotels();
-  const hotel = hotels.find(h => h.id === parseInt(id));
-  
-  if (!hotel) {
-    return res.status(404).json({ error: 'Hotel not found' });
+  const hotel = hotels.find(h => h.id === req.hotel.id);
+  const content = { ...(hotel.botContent || {}) };
+
+  if (receptionExtension !== undefined) content.receptionExtension = receptionExtension.trim();
+  if (contacts !== undefined) content.contacts = contacts.map(contact => ({ name: contact.name.trim(), number: contact.number.trim() }));
+  if (amenities !== undefined) content.amenities = amenities.map(amenity => ({ name: amenity.name.trim(), hours: (amenity.hours || '').trim() }));
+  if (faq !== undefined) {
+    content.faq = faq.map((entry, index) => normalizeFaqEntry(entry, Number.isInteger(entry.id) ? entry.id : Date.now() + index));
   }
-  
-  // Check if bot is already connected
-  const clientState = clientStates.get(hotel.phone);
-  if (clientState && clientState.isConnected) {
-    return res.json({ success: true, connected: true, message: 'Bot already connected' });
+  if (templates !== undefined) {
+    content.templates = { ...(content.templates || {}) };
+    for (const [key, text] of Object.entries(templates)) {
+      if (text === null || text === botTemplates[key].text) {
+        delete content.templates[key];
+      } else {
+        content.templates[key] = text;
+      }
+    }
   }
-  
-  // Update hotel auto-connect preference
-  const hotelIndex = hotels.findIndex(h => h.id === parseInt(id));
-  if (hotelIndex !== -1) {
-    hotels[hotelIndex].autoConnect = true;
-    saveHotels(hotels);
+  if (translations !== undefined) {
+    content.translations = { ...(content.translations || {}) };
+    for (const [language, texts] of Object.entries(translations)) {
+      const stored = { ...(content.translations[language] || {}) };
+      const catalog = botTranslations[language] || {};
+      for (const [key, text] of Object.entries(texts)) {
+        if (text === null || text === (catalog[key] || botTemplates[key].text)) {
+          delete stored[key];
+        } else {
+          stored[key] = text;
+        }
+      }
+      content.translations[language] = stored;
+    }
   }
-  
-  // Start bot connection
-  startBotForHotel(hotel.phone, hotel.hotelName);
-  
-  res.json({ success: true, connected: false, message: 'Bot connection initiated' });
+
+  hotel.botContent = content;
+  saveHotels(hotels);
+  if (faq !== undefined) dropAnsweredQuestions(hotel.phone, loadFaq(hotel.phone));
+
+  res.json({ success: true, content: getBotContent(hotel.phone) });
 });
 
-app.post('/api/superadmin/hotels/:id/disconnect', (req, res) => {
-  const { id } = req.params;
-  
+app.delete('/api/bot-content', authenticateHotel, (req, res) => {
   const hotels = loadHotels();
-  const hotel = hotels.find(h => h.id === parseInt(id));
-  
-  if (!hotel) {
-    return res.status(404).json({ error: 'Hotel not found' });
+  delete hotels.find(h => h.id === req.hotel.id).botContent;
+  saveHotels(hotels);
+
+  res.json({ success: true, content: getBotContent(req.hotel.phone) });
+});
+
+/**
+ * Knowledge base
+ */
+app.get('/api/faq', authenticateHotel, (req, res) => {
+  res.json({ faq: loadFaq(req.hotel.phone), unansweredCount: loadUnansweredQuestions(req.hotel.phone).length });
+});
+
+// { question, answer, keywords }; logged questions it answers are dropped
+app.post('/api/faq', authenticateHotel, (req, res) => {
+  const errors = validateFaqEntry(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid FAQ entry', details: errors });
   }
-  
-  // Update hotel auto-connect preference
-  const hotelIndex = hotels.findIndex(h => h.id === parseInt(id));
-  if (hotelIndex !== -1) {
-    hotels[hotelIndex].autoConnect = false;
-    saveHotels(hotels);
+
+  const hotelPhone = req.hotel.phone;
+  const faq = loadFaq(hotelPhone);
+  if (faq.length >= 50) {
+    return res.status(400).json({ error: 'A hotel can have at most 50 FAQ entries.' });
   }
-  
-  // Disconnect bot
-  disconnectBotForHotel(hotel.phone);
-  
-  res.json({ success: true, message: 'Bot disconnected successfully' });
-});
 
-app.get('/api/superadmin/hotels/:id/qr', (req, res) => {
-  const { id } = req.params;
-  
+  const entry = normalizeFaqEntry(req.body, Date.now());
+  faq.push(entry);
   const hotels = loadHotels();
-  const hotel = hotels.find(h => h.id === parseInt(id));
-  
-  if (!hotel) {
-    return res.status(404).json({ error: 'Hotel not found' });
+  saveFaq(hotels.find(h => h.id === req.hotel.id), faq);
+  saveHotels(hotels);
+
+  res.status(201).json({ success: true, entry, answeredQuestions: dropAnsweredQuestions(hotelPhone, faq) });
+});
+
+// Only the fields sent are changed
+app.put('/api/faq/:id', authenticateHotel, (req, res) => {
+  const hotelPhone = req.hotel.phone;
+  const faq = loadFaq(hotelPhone);
+  const index = faq.findIndex(entry => entry.id === parseInt(req.params.id, 10));
+  if (index === -1) {
+    return res.status(404).json({ error: 'FAQ entry not found' });
   }
-  
-  const qrData = hotelQRs.get(hotel.phone);
-  if (!qrData) {
-    return res.status(404).json({ error: 'No QR code available' });
+
+  const { question, answer, keywords } = req.body || {};
+  const changed = { ...faq[index] };
+  if (question !== undefined) changed.question = question;
+  if (answer !== undefined) changed.answer = answer;
+  if (keywords !== undefined) changed.keywords = keywords;
+  const errors = validateFaqEntry(changed);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid FAQ entry', details: errors });
   }
-  
-  res.json({ qr: qrData });
+
+  faq[index] = normalizeFaqEntry(changed, changed.id);
+  const hotels = loadHotels();
+  saveFaq(hotels.find(h => h.id === req.hotel.id), faq);
+  saveHotels(hotels);
+
+  res.json({ success: true, entry: faq[index], answeredQuestions: dropAnsweredQuestions(hotelPhone, faq) });
 });
 
-// Hotel Admin Routes
-app.post('/api/hotel/login', (req, res) => {
-  const { phone, username, password } = req.body;
-  
+app.delete('/api/faq/:id', authenticateHotel, (req, res) => {
+  const faq = loadFaq(req.hotel.phone);
+  const remaining = faq.filter(entry => entry.id !== parseInt(req.params.id, 10));
+  if (remaining.length === faq.length) {
+    return res.status(404).json({ error: 'FAQ entry not found' });
+  }
+
   const hotels = loadHotels();
-  const hotel = hotels.find(h => 
-    h.phone === phone && 
-    h.username === username && 
-    bcrypt.compareSync(password, h.password)
-  );
-  
-  if (hotel) {
-    res.json({ 
-      success: true, 
-      message: 'Login successful',
-      hotel: {
-        id: hotel.id,
-        hotelName: hotel.hotelName,
-        username: hotel.username,
-        phone: hotel.phone
-      }
-    });
-  } else {
-    res.status(401).json({ error: 'Invalid credentials' });
+  saveFaq(hotels.find(h => h.id === req.hotel.id), remaining);
+  saveHotels(hotels);
+
+  res.json({ success: true });
+});
+
+// Most asked first
+app.get('/api/faq/unanswered', authenticateHotel, (req, res) => {
+  const questions = loadUnansweredQuestions(req.hotel.phone)
+    .sort((a, b) => b.count - a.count || b.lastAskedAt.localeCompare(a.lastAskedAt));
+  res.json({ questions });
+});
+
+// Dismiss a logged question without answering it
+app.delete('/api/faq/unanswered/:id', authenticateHotel, (req, res) => {
+  const hotelPhone = req.hotel.phone;
+  const questions = loadUnansweredQuestions(hotelPhone);
+  const remaining = questions.filter(question => question.id !== parseInt(req.params.id, 10));
+  if (remaining.length === questions.length) {
+    return res.status(404).json({ error: 'Question not found' });
   }
+
+  saveUnansweredQuestions(hotelPhone, remaining);
+  res.json({ success: true });
 });
 
-// Hotel-specific API endpoints
-app.get('/api/orders', authenticateHotel, (req, res) => {
-  const orders = loadOrders(req.hotel.phone);
-  res.json(orders);
+/**
+ * Service requests
+ */
+// ?status=open (default: Open and In progress) | all | one status; ?department=housekeeping
+app.get('/api/requests', authenticateHotel, (req, res) => {
+  const { status = 'open', department } = req.query;
+  const statuses = status === 'open' ? openServiceStatuses : status === 'all' ? null : [status];
+  if (statuses && !statuses.every(name => serviceRequestStatuses[name])) {
+    return res.status(400).json({ error: `status must be open, all or one of: ${Object.keys(serviceRequestStatuses).join(', ')}.` });
+  }
+  if (department && !serviceDepartments[department]) {
+    return res.status(400).json({ error: `department must be one of: ${Object.keys(serviceDepartments).join(', ')}.` });
+  }
+
+  const requests = storage.getServiceRequests(req.hotel.phone, statuses);
+  const openCounts = Object.fromEntries(Object.keys(serviceDepartments).map(key => [key, 0]));
+  storage.getServiceRequests(req.hotel.phone, openServiceStatuses).forEach(request => { openCounts[request.department]++; });
+
+  res.json({
+    requests: department ? requests.filter(request => request.department === department) : requests,
+    openCounts,
+    departments: serviceDepartments,
+    types: Object.fromEntries(Object.entries(serviceRequestTypes).map(([type, definition]) => [type, { label: definition.label, department: definition.department }])),
+    statuses: Object.fromEntries(Object.entries(serviceRequestStatuses).map(([name, definition]) => [name, { next: definition.next }]))
+  });
 });
 
-app.post('/api/orders', authenticateHotel, async (req, res) => {
-  const { room, items, guestNumber } = req.body;
+// Staff log requests that come in by phone or at the desk
+app.post('/api/requests', authenticateHotel, async (req, res) => {
+  const { type, room, guestNumber, details, time } = req.body;
   const hotelPhone = req.hotel.phone;
 
-  if (!room || typeof room !== 'string' || !room.trim()) {
-    return res.status(400).json({ error: 'Room is required and must be a non-empty string.' });
+  if (!serviceRequestTypes[type]) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(serviceRequestTypes).join(', ')}.` });
   }
-  if (!Array.isArray(items) || items.length === 0) {
-    return res.status(400).json({ error: 'Items must be a non-empty array.' });
+  if (typeof room !== 'string' || !room.trim() || !isKnownRoom(hotelPhone, room)) {
+    return res.status(400).json({ error: 'A room from the room registry is required.' });
+  }
+  const minutes = time === undefined || time === null || time === '' ? null : parseClockTime(String(time));
+  if (minutes === null && (time || serviceRequestTypes[type].needsTime)) {
+    return res.status(400).json({ error: 'time must be a clock time like "6:30 AM".' });
+  }
+  const guest = guestNumber ? normalizeGuestNumber(guestNumber) : null;
+  if (guestNumber && !guest) {
+    return res.status(400).json({ error: 'guestNumber must be a phone number.' });
   }
 
-  const newOrder = {
-    id: Date.now(),
+  const stay = guest && findCurrentStay(hotelPhone, guest);
+  const request = await createServiceRequest(activeClients.get(hotelPhone), hotelPhone, {
+    type,
     room: room.trim(),
-    items: items.map(i => {
-      if (typeof i === 'string') {
-        return { name: i.trim(), quantity: 1 };
-      }
-      if (typeof i === 'object' && i !== null) {
-        return {
-          name: (i.name || '').trim(),
-          quantity: i.quantity || 1
-        };
-      }
-      return { name: String(i), quantity: 1 };
-    }),
-    guestNumber: typeof guestNumber === 'string' && guestNumber.trim() ? guestNumber.trim() : null,
-    status: 'Pending',
-    timestamp: new Date().toISOString(),
-  };
+    guestNumber: guest,
+    stayId: stay && stay.room === room.trim() ? stay.id : null,
+    details: typeof details === 'string' && details.trim() ? details.trim() : null,
+    time: minutes
+  }, req.session.username);
 
-  const orders = loadOrders(hotelPhone);
-  orders.push(newOrder);
-  saveOrders(hotelPhone, orders);
+  res.status(201).json({ success: true, request });
+});
 
-  // Notify manager/admin using whatsapp-web.js client
-  const client = activeClients.get(hotelPhone);
-  if (client && isClientConnected(hotelPhone)) {
-    const adminNumber = `${hotelPhone}@c.us`;
-    const itemSummary = newOrder.items.map(i => `${i.quantity} x ${i.name}`).join('\n');
+app.post('/api/requests/:id/status', authenticateHotel, async (req, res) => {
+  const hotelPhone = req.hotel.phone;
+  const request = storage.getServiceRequest(hotelPhone, parseInt(req.params.id, 10));
+  if (!request) return res.status(404).json({ error: 'Request not found.' });
 
-    const summary = `📢 *NEW ORDER*\n🆔 #${newOrder.id}\n🏨 Room: ${newOrder.room}\n🍽 Items:\n${itemSummary}`;
+  const status = Object.keys(serviceRequestStatuses).find(name => name.toLowerCase() === String(req.body.status || '').trim().toLowerCase());
+  if (!status) {
+    return res.status(400).json({ error: 'Invalid status value.' });
+  }
+  if (!serviceRequestStatuses[request.status].next.includes(status)) {
+    return res.status(409).json({ error: `Cannot change a request from ${request.status} to ${status}.` });
+  }
 
-    try {
-      await client.sendMessage(adminNumber, summary);
-      console.log(`📤 Notified manager of new order #${newOrder.id}`);
-    } catch (err) {
-      console.error('⚠️ Failed to notify manager via WhatsApp:', err.message);
-    }
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (serviceRequestStatuses[status].requiresReason && !reason) {
+    return res.status(400).json({ error: `A reason is required to mark a request ${status}.` });
   }
 
-  res.status(201).json({ success: true, order: newOrder });
+  await changeServiceRequestStatus(activeClients.get(hotelPhone), hotelPhone, request, status, { by: req.session.username, reason: reason || null });
+  res.json({ success: true, request });
 });
 
-app.post('/api/orders/:id/status', authenticateHotel, async (req, res) => {
-  const id = parseInt(req.params.id, 10);
-  const { status } = req.body;
+/**
+ * Staff handoff
+ */
+// ?status=open (default) | closed | all; newest activity first, without transcripts
+app.get('/api/handoffs', authenticateHotel, (req, res) => {
+  const { status = 'open' } = req.query;
+  if (!['open', 'closed', 'all'].includes(status)) {
+    return res.status(400).json({ error: 'status must be open, closed or all.' });
+  }
+
+  const handoffs = storage.getHandoffs(req.hotel.phone, status === 'all' ? undefined : status)
+    .sort((a, b) => b.lastMessageAt.localeCompare(a.lastMessageAt))
+    .map(handoffSummary);
+  res.json({ handoffs });
+});
+
+app.get('/api/handoffs/:id', authenticateHotel, (req, res) => {
+  const handoff = storage.getHandoff(req.hotel.phone, parseInt(req.params.id, 10));
+  if (!handoff) return res.status(404).json({ error: 'Conversation not found.' });
+  res.json({ handoff });
+});
+
+// Take a guest over from the bot: { guest: "+91 98765 43210" }
+app.post('/api/handoffs', authenticateHotel, async (req, res) => {
   const hotelPhone = req.hotel.phone;
+  const guestNumber = normalizeGuestNumber(req.body.guest);
+  if (!guestNumber) {
+    return res.status(400).json({ error: 'guest must be a WhatsApp number.' });
+  }
 
-  const validStatuses = ['Pending', 'Confirmed', 'Done', 'Rejected'];
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({ error: 'Invalid status value.' });
+  const open = findOpenHandoff(hotelPhone, guestNumber);
+  if (open) {
+    return res.status(409).json({ error: 'Staff are already talking to this guest.', handoff: handoffSummary(open) });
   }
 
-  const orders = loadOrders(hotelPhone);
-  const index = orders.findIndex(o => o.id === id);
-  if (index === -1) return res.status(404).json({ error: 'Order not found.' });
+  const handoff = await startHandoff(activeClients.get(hotelPhone), hotelPhone, guestNumber, { by: req.session.username });
+  res.status(201).json({ success: true, handoff });
+});
 
-  orders[index].status = status;
-  saveOrders(hotelPhone, orders);
+// Reply to the guest through the hotel's WhatsApp number: { text }
+app.post('/api/handoffs/:id/messages', authenticateHotel, async (req, res) => {
+  const hotelPhone = req.hotel.phone;
+  const handoff = storage.getHandoff(hotelPhone, parseInt(req.params.id, 10));
+  if (!handoff) return res.status(404).json({ error: 'Conversation not found.' });
+  if (handoff.status !== 'open') {
+    return res.status(409).json({ error: 'This guest is back with the bot; take over again to reply.' });
+  }
 
-  const order = orders[index];
-  const guestNumber = order.guestNumber;
+  const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+  if (!text || text.length > 4000) {
+    return res.status(400).json({ error: 'text must be a message of up to 4000 characters.' });
+  }
 
-  // Notify guest via whatsapp-web.js
   const client = activeClients.get(hotelPhone);
-  if (client && guestNumber && isClientConnected(hotelPhone)) {
-    const itemSummary = order.items.map(i => `${i.quantity} x ${i.name}`).join(', ');
-    let msg = '';
-
-    switch (status) {
-      case 'Confirmed':
-        msg = `✅ Your order #${order.id} for ${itemSummary} has been *confirmed* and is being prepared.`;
-        break;
-      case 'Done':
-        msg = `✅ Your order #${order.id} for ${itemSummary} has been *completed*. Thank you for staying with us!`;
-        break;
-      case 'Rejected':
-        msg = `❌ Your order #${order.id} for ${itemSummary} was *rejected* by the manager. Please contact reception for help.`;
-        break;
-      default:
-        msg = '';
-    }
-
-    if (msg) {
-      try {
-        await client.sendMessage(guestNumber, msg);
-        console.log(`📩 WhatsApp update sent to guest ${guestNumber} → ${status}`);
-      } catch (err) {
-        console.error('⚠️ Failed to notify guest via WhatsApp:', err.message);
-      }
-    }
+  if (!client || !isClientConnected(hotelPhone)) {
+    return res.status(503).json({ error: 'WhatsApp is not connected.' });
   }
 
-  res.json({ success: true });
+  const message = await sendStaffMessage(client, hotelPhone, handoff, text, req.session.username);
+  if (!message) {
+    return res.status(502).json({ error: 'The message could not be sent.' });
+  }
+  res.status(201).json({ success: true, message });
 });
 
-app.delete('/api/orders/:id', authenticateHotel, (req, res) => {
-  const id = parseInt(req.params.id, 10);
+// Hand the guest back to the bot
+app.post('/api/handoffs/:id/close', authenticateHotel, async (req, res) => {
   const hotelPhone = req.hotel.phone;
-  
-  const orders = loadOrders(hotelPhone);
-  const index = orders.findIndex(o => o.id === id);
-  if (index === -1) return res.status(404).json({ error: 'Order not found.' });
+  const handoff = storage.getHandoff(hotelPhone, parseInt(req.params.id, 10));
+  if (!handoff) return res.status(404).json({ error: 'Conversation not found.' });
+  if (handoff.status !== 'open') {
+    return res.status(409).json({ error: 'This guest is already back with the bot.' });
+  }
 
-  orders.splice(index, 1);
-  saveOrders(hotelPhone, orders);
+  await endHandoff(activeClients.get(hotelPhone), hotelPhone, handoff, req.session.username);
+  res.json({ success: true, handoff: handoffSummary(handoff) });
+});
 
-  res.json({ success: true, message: `Order ${id} deleted.` });
+/**
+ * Conversations
+ *
+ * The message log (see Message log). Every list takes guest (part of the
+ * number), intent, orderId, direction (in | out), q (text search) and
+ * from / to (hotel-local dates, inclusive), and pages with page / pageSize.
+ */
+function parseMessageQuery(query, phone, sort) {
+  const { guest, intent, orderId, direction, q, from, to } = query;
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const pageSize = query.pageSize === undefined ? 50 : Number(query.pageSize);
+
+  if (!Number.isInteger(page) || page < 1) return { error: 'page must be a positive whole number.' };
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 200) return { error: 'pageSize must be between 1 and 200.' };
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    return { error: 'from and to must be dates like 2024-01-31.' };
+  }
+  if (direction && !['in', 'out'].includes(direction)) return { error: 'direction must be in or out.' };
+  if (orderId !== undefined && !/^\d+$/.test(orderId)) return { error: 'orderId must be an order number.' };
+
+  const timezone = getHotelTimezone(phone);
+  const text = value => typeof value === 'string' && value.trim() ? value.trim() : null;
+
+  return {
+    guestNumber: null,
+    guest: text(guest),
+    intent: text(intent),
+    orderId: orderId !== undefined ? Number(orderId) : null,
+    direction: direction || null,
+    search: text(q),
+    since: from ? localDayStart(from, timezone) : null,
+    until: to ? localDayStart(addDays(to, 1), timezone) : null,
+    sort,
+    page,
+    pageSize,
+    limit: pageSize,
+    offset: (page - 1) * pageSize
+  };
+}
+
+function pageOf(query, total) {
+  return { total, page: query.page, pageSize: query.pageSize, totalPages: Math.max(1, Math.ceil(total / query.pageSize)) };
+}
+
+// One entry per guest with matching messages, most recently active first
+app.get('/api/conversations', authenticateHotel, (req, res) => {
+  const query = parseMessageQuery(req.query, req.hotel.phone, 'newest');
+  if (query.error) return res.status(400).json({ error: query.error });
+
+  const { threads, total } = storage.getMessageThreads(req.hotel.phone, query);
+  res.json({ threads, ...pageOf(query, total), retentionDays: getMessageRetentionDays(req.hotel.phone) });
 });
 
-app.delete('/api/orders/cleanup', authenticateHotel, async (req, res) => {
-  try {
-    const { statuses } = req.body;
-    const hotelPhone = req.hotel.phone;
-    
-    let orders = loadOrders(hotelPhone);
-    orders = orders.filter(order => !statuses.includes(order.status));
-    saveOrders(hotelPhone, orders);
-    res.json({ message: `Removed all orders with status: ${statuses.join(', ')}` });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Matching messages across all guests, newest first
+app.get('/api/conversations/messages', authenticateHotel, (req, res) => {
+  const query = parseMessageQuery(req.query, req.hotel.phone, 'newest');
+  if (query.error) return res.status(400).json({ error: query.error });
+
+  const { messages, total } = storage.queryMessages(req.hotel.phone, query);
+  res.json({ messages, ...pageOf(query, total) });
+});
+
+// Every matching message, oldest first: ?format=csv (default) | json, guestNumber for one guest's transcript
+const messageExportColumns = ['timestamp', 'guestNumber', 'direction', 'intent', 'orderId', 'by', 'text'];
+
+app.get('/api/conversations/export', authenticateHotel, (req, res) => {
+  const { format = 'csv' } = req.query;
+  if (!['csv', 'json'].includes(format)) return res.status(400).json({ error: 'format must be csv or json.' });
+
+  const query = parseMessageQuery(req.query, req.hotel.phone, 'oldest');
+  if (query.error) return res.status(400).json({ error: query.error });
+  if (req.query.guestNumber) {
+    query.guestNumber = normalizeGuestNumber(req.query.guestNumber);
+    if (!query.guestNumber) return res.status(400).json({ error: 'guestNumber must be a WhatsApp number.' });
+  }
+
+  const { messages } = storage.queryMessages(req.hotel.phone, { ...query, limit: null });
+  if (format === 'json') {
+    res.setHeader('Content-Disposition', `attachment; filename="conversations_${req.hotel.phone}.json"`);
+    return res.json({ messages });
   }
+  sendCsv(res, `conversations_${req.hotel.phone}.csv`, messages, messageExportColumns);
 });
 
-app.get('/api/menu', authenticateHotel, (req, res) => {
-  try {
-    const menuData = loadMenuConfig(req.hotel.phone);
-    res.json(menuData);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to load menu' });
+// { days } between 1 and 3650, or null for the server default
+app.put('/api/conversations/retention', authenticateHotel, (req, res) => {
+  const { days } = req.body;
+  if (days !== null && !isValidRetentionDays(days)) {
+    return res.status(400).json({ error: 'days must be a whole number from 1 to 3650, or null for the default.' });
+  }
+
+  const hotels = loadHotels();
+  const hotel = hotels.find(h => h.id === req.hotel.id);
+  if (days === null) {
+    delete hotel.messageRetentionDays;
+  } else {
+    hotel.messageRetentionDays = days;
   }
+  saveHotels(hotels);
+
+  res.json({ success: true, retentionDays: getMessageRetentionDays(hotel.phone) });
 });
 
-app.post('/api/menu', authenticateHotel, (req, res) => {
-  try {
-    const { menu, hours } = req.body;
-    const hotelPhone = req.hotel.phone;
-    
-    if (!menu || typeof menu !== 'object' || !hours || typeof hours !== 'object') {
-      return res.status(400).json({ error: 'Invalid menu data' });
+// One guest's transcript, oldest first
+app.get('/api/conversations/:guest', authenticateHotel, (req, res) => {
+  const guestNumber = normalizeGuestNumber(req.params.guest);
+  if (!guestNumber) return res.status(400).json({ error: 'guest must be a WhatsApp number.' });
+
+  const query = parseMessageQuery(req.query, req.hotel.phone, 'oldest');
+  if (query.error) return res.status(400).json({ error: query.error });
+
+  const { messages, total } = storage.queryMessages(req.hotel.phone, { ...query, guestNumber });
+  res.json({ guestNumber, messages, ...pageOf(query, total) });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  console.error('Unhandled error:', err);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+/**
+ * Real-time dashboard updates
+ *
+ * Hotel dashboards connect to the /hotel namespace with their session token
+ * and are joined to a room per hotel. Events:
+ *   order:created  - new order from WhatsApp or the dashboard
+ *   order:updated  - order changed (status etc.)
+ *   order:deleted  - { id }
+ *   orders:deleted - { ids } removed together by a cleanup
+ *   stay:updated   - guest checked in, moved or checked out
+ *   handoff:started - a guest was handed off to staff (summary, see handoffSummary)
+ *   handoff:message - { handoffId, guestNumber, message } added to an open thread
+ *   handoff:updated - thread handed back to the bot
+ *   conversation:message - a message was added to the message log (see Message log)
+ *   bot:status     - { status: 'connected' | 'connecting' | 'qr' | 'disconnected' }
+ */
+const hotelNamespace = io.of('/hotel');
+
+function hotelRoom(phone) {
+  return `hotel:${phone}`;
+}
+
+function emitToHotel(phone, event, payload) {
+  hotelNamespace.to(hotelRoom(phone)).emit(event, payload);
+}
+
+function getBotStatus(phone) {
+  if (isClientConnected(phone)) return 'connected';
+  if (hotelQRs.has(phone)) return 'qr';
+  return activeClients.has(phone) ? 'connecting' : 'disconnected';
+}
+
+function emitBotStatus(phone) {
+  emitToHotel(phone, 'bot:status', { status: getBotStatus(phone) });
+}
+
+// Close sockets opened with a session that has been revoked
+function disconnectSessionSockets(token) {
+  for (const socket of hotelNamespace.sockets.values()) {
+    if (socket.data.sessionToken === token) {
+      socket.disconnect(true);
+    }
+  }
+}
+
+// Move sockets opened with a rotated session over to its replacement
+function rebindSessionSockets(token, newToken) {
+  for (const socket of hotelNamespace.sockets.values()) {
+    if (socket.data.sessionToken === token) {
+      socket.data.sessionToken = newToken;
     }
+  }
+}
 
-    saveMenuConfig(hotelPhone, { menu, hours });
-    res.json({ success: true, message: 'Menu updated successfully' });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to update menu' });
+hotelNamespace.use((socket, next) => {
+  const session = getSession(socket.handshake.auth && socket.handshake.auth.token);
+  const hotel = session && session.role === 'hotel' && loadHotels().find(h => h.id === session.hotelId);
+
+  if (!hotel) {
+    return next(new Error('Authentication failed'));
   }
+
+  socket.data.sessionToken = session.token;
+  socket.data.hotelPhone = hotel.phone;
+  next();
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({ error: 'Internal server error' });
+hotelNamespace.on('connection', (socket) => {
+  const phone = socket.data.hotelPhone;
+  socket.join(hotelRoom(phone));
+  socket.emit('bot:status', { status: getBotStatus(phone) });
 });
 
 // WhatsApp Bot Functions
@@ -595,15 +5367,16 @@ function isClientConnected(phone) {
   return state ? state.isConnected && !state.isDestroying : false;
 }
 
-// Safe message sending function
-async function safeSendMessage(client, phone, to, message) {
+// Safe message sending function; log tags messages sent outside a guest's turn (see Message log)
+async function sendWhatsAppMessage(client, phone, to, message, options, log) {
   if (!isClientConnected(phone)) {
     console.log(`❌ Cannot send message - client for ${phone} is not connected`);
     return false;
   }
 
   try {
-    await client.sendMessage(to, message);
+    await client.sendMessage(to, message, options);
+    logOutgoingMessage(phone, to, message, options, log);
     return true;
   } catch (error) {
     console.error(`❌ Failed to send message for ${phone}:`, error.message);
@@ -611,6 +5384,22 @@ async function safeSendMessage(client, phone, to, message) {
   }
 }
 
+// What the bot sends; guests handed off to staff get it in their transcript as well
+async function safeSendMessage(client, phone, to, message, options, log) {
+  const sent = await sendWhatsAppMessage(client, phone, to, message, options, log);
+  const handoff = sent ? findOpenHandoff(phone, to) : null;
+  if (handoff) {
+    appendHandoffMessage(phone, handoff.id, { from: 'bot', text: transcriptText(message, options) });
+  }
+  return sent;
+}
+
+// A staff reply to a handed-off guest, sent as typed
+async function sendStaffMessage(client, phone, handoff, text, by) {
+  if (!await sendWhatsAppMessage(client, phone, handoff.guestNumber, text, undefined, { intent: 'staff_reply', by })) return null;
+  return appendHandoffMessage(phone, handoff.id, { from: 'staff', text, by });
+}
+
 // Disconnect bot for hotel
 function disconnectBotForHotel(phone) {
   const client = activeClients.get(phone);
@@ -635,8 +5424,9 @@ function disconnectBotForHotel(phone) {
   activeClients.delete(phone);
   clientStates.delete(phone);
   hotelQRs.delete(phone);
+  emitBotStatus(phone);
   
-  // Clear user states for this hotel
+  // Drop cached user states for this hotel; they stay in storage for when the bot reconnects
   for (const [key, value] of userStates.entries()) {
     if (value.hotelPhone === phone) {
       userStates.delete(key);
@@ -674,6 +5464,7 @@ async function startBotForHotel(phone, hotelName) {
 
   // Store client
   activeClients.set(phone, client);
+  emitBotStatus(phone);
 
   // Handle QR code generation
   client.on('qr', (qr) => {
@@ -681,6 +5472,7 @@ async function startBotForHotel(phone, hotelName) {
     
     console.log(`QR RECEIVED for ${phone}`);
     hotelQRs.set(phone, qr);
+    emitBotStatus(phone);
     qrcode.generate(qr, { small: true });
   });
 
@@ -691,6 +5483,7 @@ async function startBotForHotel(phone, hotelName) {
       state.isConnected = true;
       console.log(`✅ WhatsApp Bot Ready for ${hotelName} (${phone})`);
       hotelQRs.delete(phone); // Clear QR after successful connection
+      emitBotStatus(phone);
       
       // Update hotel connection status and auto-connect preference
       const hotels = loadHotels();
@@ -721,7 +5514,8 @@ async function startBotForHotel(phone, hotelName) {
     if (msg.isGroup || msg.fromMe) return;
 
     const from = msg.from;
-    const userMsg = msg.body;
+    // Tapped buttons and list rows carry the option id
+    const userMsg = msg.selectedButtonId || msg.selectedRowId || msg.body;
     
     // Check if client is connected and not being destroyed
     if (!isClientConnected(phone)) {
@@ -742,20 +5536,16 @@ async function startBotForHotel(phone, hotelName) {
     if (!userMsg) return;
     console.log(`Received message from ${from} for hotel ${phone}: ${userMsg}`);
 
-    let state = userStates.get(from) || {
-      awaitingConfirmation: false,
-      items: [],
-      room: null,
-      awaitingRating: false,
-      lastOrderId: null,
-      hotelPhone: phone
-    };
+    const state = getUserState(phone, from);
 
-    // Handle button responses and message processing
+    // Handle button responses and message processing; the log keeps what the guest saw or typed
+    beginGuestTurn(phone, from, msg.body || userMsg);
     try {
       await handleMessage(client, from, userMsg, state, phone, hotelName);
     } catch (error) {
       console.error(`❌ Error handling message for ${phone}:`, error.message);
+    } finally {
+      endGuestTurn(phone, from);
     }
   });
   
@@ -779,106 +5569,319 @@ async function handleMessage(client, from, userMsg, state, phone, hotelName) {
     return;
   }
 
-  // Handle button responses
-  if (userMsg.startsWith("rate_")) {
-    const buttonId = userMsg;
-    const rating = buttonId.split("_")[1];
-    
-    if (state?.awaitingRating) {
-      console.log(`⭐ Guest ${from} rated ${rating} stars for Order ${state.lastOrderId}`);
+  // Handed off to staff: the message is theirs to answer
+  const handoff = findOpenHandoff(phone, from);
+  if (handoff) {
+    noteMessageIntent(phone, from, 'handoff');
+    appendHandoffMessage(phone, handoff.id, { from: 'guest', text: userMsg });
+    return;
+  }
+
+  // Guests who haven't picked a language get the one they write in
+  const detectedLanguage = state.language ? null : detectLanguage(phone, userMsg);
+  if (detectedLanguage) {
+    state.language = detectedLanguage;
+    saveUserState(phone, from, state);
+  }
+  const language = guestLanguage(phone, from);
+
+  // Options we just offered are only answerable by the very next message
+  if (state.pendingOptions) {
+    const optionId = resolveOptionReply(userMsg, state.pendingOptions);
+    if (!optionId && /^\d{1,2}[.)]?$/.test(normalizeDigits(userMsg.trim()))) {
+      noteMessageIntent(phone, from, 'option_unclear');
+      await safeSendMessage(client, phone, from, phrase(language, 'pickNumber', { count: state.pendingOptions.length }));
+      return;
+    }
+    delete state.pendingOptions;
+    saveUserState(phone, from, state);
+    if (optionId) userMsg = optionId;
+  }
+
+  // "language hindi", "भाषा हिंदी" or a pick from the language options
+  const languageCommand = parseLanguageCommand(userMsg);
+  if (languageCommand) {
+    noteMessageIntent(phone, from, 'language');
+    await handleLanguageCommand(client, from, state, languageCommand, phone);
+    return;
+  }
+
+  // "talk to staff" or the help option: a person takes it from here
+  if (userMsg === 'help_staff' || mentionsKeyword(userMsg.toLowerCase(), 'staff')) {
+    noteMessageIntent(phone, from, 'staff_request');
+    await startHandoff(client, phone, from, { by: 'guest', message: userMsg === 'help_staff' ? null : userMsg });
+    return;
+  }
+
+  // Rating for a completed order: "rate_4" from the options, or a bare "4" / "⭐⭐⭐⭐"
+  const rating = state.awaitingRating && !state.pendingClarification ? parseRatingReply(userMsg) : null;
+  if (rating || userMsg.startsWith("rate_")) {
+    noteMessageIntent(phone, from, 'rating');
+    if (rating) {
+      await saveRating(client, from, state, phone, rating);
+    }
+    return;
+  }
+
+  // The message after a rating can be a comment on it
+  if (state.awaitingComment) {
+    const orderId = state.awaitingComment;
+    delete state.awaitingComment;
+    noteMessageIntent(phone, from, 'rating_comment');
+    noteMessageOrder(phone, from, orderId);
 
-      await safeSendMessage(client, phone, from, `⭐ Thanks for rating us ${rating} stars! We appreciate your feedback.`);
+    if (/^\s*(skip|no|nope|nothing|no thanks?)\s*[.!]?\s*$/i.test(userMsg)) {
+      await safeSendMessage(client, phone, from, phrase(language, 'commentSkipped'));
+      saveUserState(phone, from, state);
+      return;
+    }
+    if (isRatingComment(userMsg, phone)) {
+      await saveRatingComment(client, from, state, phone, orderId, userMsg.trim());
+      return;
+    }
+  }
 
-      // Forward rating to admin
-      const adminNumber = `${phone}@c.us`;
-      await safeSendMessage(client, phone, adminNumber, `📩 Guest ${from} rated Order #${state.lastOrderId}: ${rating} ⭐`);
+  // Follow-up to a service request that needed a time or more details; a new request replaces it
+  const newServiceRequest = state.pendingServiceRequest && state.pendingServiceRequest.need === 'time' &&
+    extractClockTime(userMsg) === null && parseServiceRequest(userMsg);
+  if (newServiceRequest) delete state.pendingServiceRequest;
+  if (state.pendingServiceRequest && state.pendingServiceRequest.need !== 'room') {
+    const pending = state.pendingServiceRequest;
+    noteMessageIntent(phone, from, 'service_request');
+    if (/^\s*(cancel|no|nope|never\s*mind|stop)\s*[.!]?\s*$/i.test(userMsg)) {
+      delete state.pendingServiceRequest;
+      saveUserState(phone, from, state);
+      await safeSendMessage(client, phone, from, phrase(language, 'requestDropped'));
+      return;
+    }
 
-      state.awaitingRating = false;
-      userStates.set(from, state);
+    if (pending.need === 'time') {
+      pending.time = extractClockTime(userMsg);
+      if (pending.time === null) {
+        await safeSendMessage(client, phone, from, phrase(language, 'requestTimeUnclear'));
+        return;
+      }
+    } else {
+      pending.details = userMsg.trim();
     }
+    delete pending.need;
+    await requestService(client, from, state, pending, phone);
     return;
   }
   
   // Handle menu category selection
   if (userMsg.startsWith("menu_")) {
+    noteMessageIntent(phone, from, 'menu');
     const buttonId = userMsg;
-    const category = buttonId.split("_")[1];
+    const category = buttonId.slice("menu_".length);
     await sendMenuCategory(client, from, category, phone);
     return;
   }
   
   // Handle help options
   if (userMsg.startsWith("help_")) {
+    noteMessageIntent(phone, from, 'help');
     const buttonId = userMsg;
     if (buttonId === "help_reception") {
-      await safeSendMessage(client, phone, from, `📞 Please dial extension 22 for reception, or call directly at the front desk. Our staff will be happy to assist you!`);
+      await safeSendMessage(client, phone, from, botMessage(phone, 'reception', { contacts: formatContacts(getBotContent(phone).contacts) }, language));
     } else if (buttonId === "help_amenities") {
-      await safeSendMessage(client, phone, from, `🏊‍♂️ Hotel Amenities:\n• Swimming Pool (6AM-10PM)\n• Fitness Center (24/7)\n• Spa (9AM-9PM)\n• Business Center (8AM-8PM)\n• Free WiFi throughout hotel`);
+      await safeSendMessage(client, phone, from, botMessage(phone, 'amenities', { amenities: formatAmenities(getBotContent(phone).amenities) }, language));
     } else if (buttonId === "help_room") {
-      await safeSendMessage(client, phone, from, `🛌 Need room assistance?\nFor housekeeping, maintenance, or other room-related issues, please dial extension 22 and our staff will assist you promptly.`);
+      await showServiceOptions(client, from, phone);
+    }
+    return;
+  }
+
+  // Service request picked from the room help options
+  if (userMsg.startsWith("service_")) {
+    noteMessageIntent(phone, from, 'service_request');
+    const type = userMsg.slice("service_".length);
+    if (serviceRequestTypes[type]) {
+      await requestService(client, from, state, { type, details: null, time: null }, phone);
     }
     return;
   }
 
-  // Handle reset command
+  // Handle reset command; the guest keeps their language
   if (userMsg.toLowerCase() === 'reset') {
-    userStates.delete(from);
-    await safeSendMessage(client, phone, from, "🔄 Chat reset. How may I assist you today?");
+    noteMessageIntent(phone, from, 'reset');
+    clearUserState(phone, from);
+    if (state.language) {
+      const fresh = getUserState(phone, from);
+      fresh.language = state.language;
+      saveUserState(phone, from, fresh);
+    }
+    await safeSendMessage(client, phone, from, phrase(language, 'chatReset'));
+    return;
+  }
+
+  // "my requests" lists this stay's service requests, "cancel request #123" cancels an open one
+  const requestCommand = parseServiceRequestCommand(userMsg);
+  if (requestCommand) {
+    noteMessageIntent(phone, from, 'request_status');
+    await handleServiceRequestCommand(client, from, state, requestCommand, phone);
+    return;
+  }
+
+  // Towels, cleaning, repairs, late checkout and wake-up calls
+  const serviceRequest = parseServiceRequest(userMsg);
+  if (serviceRequest) {
+    noteMessageIntent(phone, from, 'service_request');
+    await requestService(client, from, state, serviceRequest, phone);
     return;
   }
 
   // Handle help command
-  if (userMsg.toLowerCase().includes('help')) {
+  if (mentionsKeyword(userMsg.toLowerCase(), 'help')) {
+    noteMessageIntent(phone, from, 'help');
     await showHelpOptions(client, from, phone);
     return;
   }
 
-  // Handle status command
-  if (userMsg.toLowerCase().includes('status') && state.lastOrderId) {
-    const orders = loadOrders(phone);
-    const order = orders.find(o => o.id === state.lastOrderId);
+  // "my orders" / "status" lists this stay's orders, "status #123" shows one
+  const statusCommand = parseStatusCommand(userMsg);
+  if (statusCommand) {
+    noteMessageIntent(phone, from, 'order_status');
+    await sendOrderStatus(client, from, statusCommand, phone);
+    return;
+  }
 
-    if (order) {
-      await safeSendMessage(client, phone, from, `📦 Order #${order.id} Status: ${order.status}\n\nRoom: ${order.room}\nPlaced at: ${new Date(order.timestamp).toLocaleTimeString()}`);
-    } else {
-      await safeSendMessage(client, phone, from, "I couldn't find your recent order. Please place an order first or contact reception for assistance.");
+  // "my bill" sends the stay's itemised bill
+  if (isBillCommand(userMsg)) {
+    noteMessageIntent(phone, from, 'bill');
+    await sendGuestBill(client, from, phone, hotelName);
+    return;
+  }
+
+  // "promo WELCOME10" applies a promo code to the cart, "remove promo" drops it
+  const promoCommand = parsePromoCommand(userMsg);
+  if (promoCommand) {
+    noteMessageIntent(phone, from, 'promo');
+    await handlePromoCommand(client, from, state, promoCommand, phone, hotelName);
+    return;
+  }
+
+  // Answer to a "did you mean" question
+  if (state.pendingClarification) {
+    const clarification = state.pendingClarification;
+    delete state.pendingClarification;
+
+    const resolved = resolveClarification(userMsg, clarification, phone);
+    if (resolved) {
+      noteMessageIntent(phone, from, 'order');
+      state.items = mergeCartItems(state.items, [resolved]);
+      await handleOrderIntent(client, from, state, hotelName, phone);
+      return;
     }
+    // Anything else is handled as a fresh message
+  }
+
+  // Cancelling or changing a placed order; a bare "cancel order" at confirmation still drops the cart
+  const orderCommand = parseOrderCommand(userMsg);
+  if (orderCommand && !(orderCommand.action === 'cancel' && !orderCommand.orderId && state.awaitingConfirmation)) {
+    noteMessageIntent(phone, from, orderCommand.action === 'cancel' ? 'order_cancel' : 'order_change');
+    await handleOrderCommand(client, from, state, orderCommand, phone, hotelName);
+    return;
+  }
+
+  // Cart editing works while building the order and at confirmation
+  const cartCommand = parseCartCommand(userMsg);
+  if (cartCommand) {
+    noteMessageIntent(phone, from, 'cart');
+    await handleCartCommand(client, from, state, cartCommand, phone, hotelName);
     return;
   }
 
   // Handle confirmation responses
   if (state.awaitingConfirmation) {
     const lowerUserMsg = userMsg.toLowerCase();
-    if (lowerUserMsg.includes('yes') || lowerUserMsg.includes('confirm') || lowerUserMsg.includes('place order')) {
+    noteMessageIntent(phone, from, 'confirm');
+    if (mentionsWord(lowerUserMsg, 'yes')) {
       await placeOrder(client, from, state, phone, hotelName);
-      userStates.delete(from);
       return;
     }
-    if (lowerUserMsg.includes('no') || lowerUserMsg.includes('cancel')) {
-      await safeSendMessage(client, phone, from, "Order cancelled. Please place a new order when ready.");
+    if (mentionsWord(lowerUserMsg, 'no')) {
+      if (state.editingOrderId) {
+        await safeSendMessage(client, phone, from, phrase(language, 'changesDiscarded', { orderId: state.editingOrderId }));
+        delete state.editingOrderId;
+      } else {
+        noteMessageIntent(phone, from, 'order_discarded');
+        await safeSendMessage(client, phone, from, phrase(language, 'orderDiscarded'));
+      }
       state.awaitingConfirmation = false;
       state.items = [];
-      userStates.set(from, state);
+      saveUserState(phone, from, state);
+      return;
+    }
+
+    // More items at confirmation are added to the cart
+    const extra = parseUserMessage(userMsg, state, phone);
+    if (extra.orderItems.length > 0) {
+      noteMessageIntent(phone, from, 'order');
+      state.items = mergeCartItems(state.items, extra.orderItems);
+    }
+    if (extra.ambiguous.length > 0) {
+      await askToClarify(client, from, state, extra.ambiguous[0], phone);
+      saveUserState(phone, from, state);
+      return;
+    }
+    if (extra.orderItems.length > 0) {
+      await handleOrderIntent(client, from, state, hotelName, phone);
       return;
     }
 
     // If we get here, the response wasn't clear
-    await safeSendMessage(client, phone, from, "I didn't understand your response. Please reply 'yes' to confirm your order or 'no' to cancel.");
+    await safeSendMessage(client, phone, from, phrase(language, 'confirmUnclear'));
     return;
   }
 
   // Parse the message for room number and order items
   const parsed = parseUserMessage(userMsg, state, phone);
+  noteMessageIntent(phone, from, parsed.intent);
 
-  // Update state with detected room number
+  // Update state with detected room number; checked-in guests already have theirs
+  let roomRejected = false;
   if (parsed.roomNumber) {
-    state.room = parsed.roomNumber;
-    await safeSendMessage(client, phone, from, `✅ Room ${parsed.roomNumber} noted. What would you like to order?`);
+    const stay = findLatestStay(phone, from);
+    if (stay && !isStayActive(stay)) {
+      // Checked out: applyGuestStay explains, here or when they order
+      roomRejected = true;
+      if (parsed.intent === 'provide_room_only') await applyGuestStay(client, from, state, phone);
+    } else if (stay) {
+      if (parsed.intent === 'provide_room_only' && parsed.roomNumber !== stay.room) {
+        await safeSendMessage(client, phone, from, phrase(language, 'roomFromStay', { room: stay.room }));
+      }
+    } else if (!isKnownRoom(phone, parsed.roomNumber)) {
+      roomRejected = true;
+      await safeSendMessage(client, phone, from, phrase(language, 'unknownRoom', { room: parsed.roomNumber }));
+    } else {
+      state.room = parsed.roomNumber;
+      await safeSendMessage(client, phone, from, phrase(language, state.pendingServiceRequest ? 'roomNotedForRequest' : 'roomNoted', { room: parsed.roomNumber }));
+    }
+  }
+
+  // A question the FAQ answers beats an intent guessed from a keyword alone
+  // ("do you have a gym?") and menu items it only half names ("when is breakfast
+  // served?"), unless the guest said how many they want ("2 breakfasts")
+  const orderingItems = parsed.orderItems.length > 0 || parsed.ambiguous.some(ambiguity => ambiguity.counted);
+  const faqEntry = parsed.intent !== 'provide_room_only' && !orderingItems ? findFaqEntry(phone, userMsg) : null;
+  if (faqEntry) {
+    noteMessageIntent(phone, from, 'faq');
+    await safeSendMessage(client, phone, from, faqEntry.answer);
+    saveUserState(phone, from, state);
+    return;
   }
 
-  // Update state with detected order items
+  // Add detected order items to the cart
   if (parsed.orderItems && parsed.orderItems.length > 0) {
-    state.items = parsed.orderItems;
+    state.items = mergeCartItems(state.items, parsed.orderItems);
+  }
+
+  // Clear matches are in the cart; ask about the first unclear one
+  if (parsed.ambiguous.length > 0) {
+    await askToClarify(client, from, state, parsed.ambiguous[0], phone);
+    saveUserState(phone, from, state);
+    return;
   }
 
   // Handle different intents
@@ -889,95 +5892,569 @@ async function handleMessage(client, from, userMsg, state, phone, hotelName) {
   } else if (parsed.intent === 'greeting') {
     await sendWelcomeMessage(client, from, hotelName, phone);
   } else if (parsed.intent === 'provide_room_only') {
-    // Already handled above
+    // Room already noted above; finish a waiting service request or show the cart again
+    if (!roomRejected && state.room && state.pendingServiceRequest) {
+      await requestService(client, from, state, state.pendingServiceRequest, phone);
+      return;
+    }
+    if (!roomRejected && state.items && state.items.length > 0) {
+      await handleOrderIntent(client, from, state, hotelName, phone);
+    }
   } else {
-    await safeSendMessage(client, phone, from, `I'm here to help you at ${hotelName}! 😊\n\nYou can:\n• Type "menu" to see food options\n• Provide your room number and order\n• Type "help" for assistance\n• Type "status" to check your order\n• Type "reset" to start over`);
+    // Nothing we understood: log it for staff and list the things the bot can do
+    logUnansweredQuestion(phone, from, userMsg);
+    await safeSendMessage(client, phone, from, botMessage(phone, 'help', {}, language));
   }
 
-  userStates.set(from, state);
+  saveUserState(phone, from, state);
 }
 
-// Send welcome message
+// Send welcome message, mentioning the other languages the guest can pick
 async function sendWelcomeMessage(client, from, hotelName, phone) {
-  await safeSendMessage(client, phone, from, `Hello! Welcome to ${hotelName}! 🏨\n\nI'm your virtual assistant here to help with:\n• Food orders 🍕\n• Menu information 📋\n• Hotel assistance 📞\n\nHow can I help you today?`);
+  const language = guestLanguage(phone, from);
+  const others = getLanguageSettings(phone).enabled.filter(code => code !== language);
+  const hint = others.length > 0 ? `\n\n${phrase(language, 'languageHint', { languages: languageNames(others) })}` : '';
+  await safeSendMessage(client, phone, from, botMessage(phone, 'welcome', {}, language) + hint);
 }
 
 // Show help options with buttons
 async function showHelpOptions(client, from, phone) {
   if (!isClientConnected(phone)) return;
-  
-  const buttonSections = [{
-    title: 'Select an option',
-    buttons: [
-      { id: 'help_reception', body: '📞 Reception' },
-      { id: 'help_amenities', body: '🏊‍♂️ Amenities' },
-      { id: 'help_room', body: '🛌 Room Help' }
+
+  const language = guestLanguage(phone, from);
+  await sendOptions(client, from, phone, {
+    body: phrase(language, 'helpOptions'),
+    title: phrase(language, 'helpTitle'),
+    buttonText: phrase(language, 'helpButton'),
+    options: [
+      { id: 'help_reception', label: phrase(language, 'helpReception') },
+      { id: 'help_amenities', label: phrase(language, 'helpAmenities') },
+      { id: 'help_room', label: phrase(language, 'helpRoom') },
+      { id: 'help_staff', label: phrase(language, 'helpStaff') }
     ]
-  }];
-  
-  try {
-    let button = new Buttons('🆘 How can we help you?', buttonSections, 'Select a service', 'Hotel Help');
-    await client.sendMessage(from, button);
-  } catch (error) {
-    console.error(`❌ Error sending help buttons for ${phone}:`, error.message);
-  }
+  });
+}
+
+async function showServiceOptions(client, from, phone) {
+  if (!isClientConnected(phone)) return;
+
+  const language = guestLanguage(phone, from);
+  await sendOptions(client, from, phone, {
+    body: phrase(language, 'serviceOptions'),
+    title: phrase(language, 'helpRoom'),
+    buttonText: phrase(language, 'serviceButton'),
+    options: Object.entries(serviceRequestTypes).map(([type, definition]) => ({
+      id: `service_${type}`,
+      label: localizedField(definition, 'label', language)
+    }))
+  });
 }
 
-// Show menu categories with buttons
+// Show menu categories as options
 async function showMenuCategories(client, from, phone) {
   if (!isClientConnected(phone)) return;
   
   const currentMenuConfig = loadMenuConfig(phone);
-  const menuButtons = currentMenuConfig.categories.map(category => ({
-    id: `menu_${category}`,
-    body: `🍽 ${category.charAt(0).toUpperCase() + category.slice(1)}`
-  }));
-  
-  const buttonSections = [{
-    title: 'Food Categories',
-    buttons: menuButtons
-  }];
+  const options = currentMenuConfig.categories
+    .filter(category => getCategoryStatus(phone, category, currentMenuConfig).open)
+    .map(category => ({
+      id: `menu_${category}`,
+      label: `🍽 ${formatCategoryName(category)}`
+    }));
+
+  if (options.length === 0) return;
+
+  const language = guestLanguage(phone, from);
+  await sendOptions(client, from, phone, {
+    body: phrase(language, 'menuOptions'),
+    title: phrase(language, 'menuTitle'),
+    buttonText: phrase(language, 'menuButton'),
+    options
+  });
+}
+
+/**
+ * Option menus
+ *
+ * Choices go out as buttons (up to 3) or a list message, or as numbered text
+ * when interactive messages are off or fail to send. Either way the options
+ * are remembered in the guest's state so a reply of "2", or the option's name,
+ * is read as that option's id (e.g. "menu_lunch") by handleMessage.
+ */
+async function sendOptions(client, from, phone, { body, title, buttonText, options, log }) {
+  const state = getUserState(phone, from);
+  state.pendingOptions = options.map(({ id, label }) => ({ id, label }));
+  saveUserState(phone, from, state);
+
+  if (hotelConfig.interactiveMessages) {
+    try {
+      const message = options.length <= 3
+        ? new Buttons(body, options.map(option => ({ id: option.id, body: option.label })), title)
+        : new List(body, buttonText, [{ title, rows: options.map(option => ({ id: option.id, title: option.label })) }], title);
+      await client.sendMessage(from, message);
+      logOutgoingMessage(phone, from, body, undefined, log);
+      return;
+    } catch (error) {
+      console.error(`⚠️ Interactive message failed for ${phone}, sending text instead:`, error.message);
+    }
+  }
+
+  const numbered = options.map((option, index) => `${index + 1}. ${option.label}`).join('\n');
+  const hint = phrase(guestLanguage(phone, from), 'optionsHint', { option: stripEmoji(options[0].label) });
+  await safeSendMessage(client, phone, from, `${body}\n\n${numbered}\n\n${hint}`, undefined, log);
+}
+
+function stripEmoji(text) {
+  return text.replace(/[^\p{L}\p{N}\s'&-]/gu, '').trim();
+}
+
+// Option id for a reply like "2" or "breakfast", or null if it isn't one of the options
+function resolveOptionReply(message, options) {
+  const text = normalizeDigits(message.trim()).replace(/[.)]$/, '');
+
+  if (/^\d{1,2}$/.test(text)) {
+    const option = options[parseInt(text) - 1];
+    return option ? option.id : null;
+  }
+
+  const option = options.find(option => stripEmoji(option.label).toLowerCase() === stripEmoji(text).toLowerCase());
+  return option ? option.id : null;
+}
+
+// Send specific menu category
+async function sendMenuCategory(client, from, category, phone) {
+  const currentMenuConfig = loadMenuConfig(phone);
+  const language = guestLanguage(phone, from);
+
+  if (!currentMenuConfig.menu[category]) {
+    await safeSendMessage(client, phone, from, phrase(language, 'categoryNotFound'));
+    return;
+  }
+
+  const status = getCategoryStatus(phone, category, currentMenuConfig);
+  if (!status.open) {
+    await safeSendMessage(client, phone, from, phrase(language, 'categoryClosed', {
+      category: formatCategoryName(category),
+      opening: describeNextOpening(status.next, language)
+    }));
+    return;
+  }
+
+  let text = `${phrase(language, 'categoryMenu', { category: category.toUpperCase(), hours: currentMenuConfig.hours[category] })}\n\n`;
+  text += currentMenuConfig.menu[category]
+    .filter(item => item.available)
+    .map(item => `• ${formatMenuItem(item, language)}`)
+    .join('\n');
+  text += `\n\n${phrase(language, 'categoryHowToOrder')}`;
+
+  await safeSendMessage(client, phone, from, text);
+}
+
+// Send the full menu (all categories at once)
+async function sendFullMenu(client, from, phone, hotelName) {
+  const currentMenuConfig = loadMenuConfig(phone);
+  const language = guestLanguage(phone, from);
+
+  let text = `${phrase(language, 'fullMenu', { hotelName })}\n\n`;
+
+  for (const category of currentMenuConfig.categories) {
+    const status = getCategoryStatus(phone, category, currentMenuConfig);
+    if (!status.open) {
+      text += `${phrase(language, 'fullMenuClosed', {
+        category: formatCategoryName(category),
+        hours: currentMenuConfig.hours[category],
+        opening: describeNextOpening(status.next, language)
+      })}\n\n`;
+      continue;
+    }
+
+    text += `📋 ${formatCategoryName(category)} (${currentMenuConfig.hours[category]}):\n`;
+    text += currentMenuConfig.menu[category]
+      .filter(item => item.available)
+      .map(item => `• ${formatMenuItem(item, language)}`)
+      .join('\n') + '\n\n';
+  }
+
+  text += phrase(language, 'fullMenuHowToOrder');
+
+  await safeSendMessage(client, phone, from, text);
+  await showMenuCategories(client, from, phone);
+}
+
+// Modifier options of an item mentioned anywhere in the text, e.g. "large" or "extra cheese"
+function findModifierOptions(item, text) {
+  const tokens = tokenize(text);
+  const selected = [];
+
+  for (const modifier of item.modifiers) {
+    const matches = modifier.options.filter(option => {
+      const words = tokenize(option.name);
+      return words.length > 0 && tokens.some((_, start) => words.every((word, offset) => tokens[start + offset] === word));
+    });
+    selected.push(...(modifier.multiple ? matches : matches.slice(0, 1)));
+  }
+
+  return selected;
+}
+
+// A cart/order line for a menu item; price is the unit price including modifiers
+function createOrderLine(item, quantity, modifiers = []) {
+  return {
+    id: item.id,
+    name: item.name,
+    category: item.category,
+    quantity,
+    price: item.price + modifiers.reduce((sum, option) => sum + option.price, 0),
+    currency: item.currency,
+    modifiers: modifiers.map(option => ({ id: option.id, name: option.name, price: option.price })),
+    ...(item.translations && Object.keys(item.translations).length > 0 ? { translations: item.translations } : {}),
+    available: item.available
+  };
+}
+
+/**
+ * Cart editing
+ *
+ * Guests build an order over several messages:
+ *   "add 1 coffee", "remove the pizza", "make it 3 pasta",
+ *   "show cart", "clear cart"
+ * Plain item messages ("2 pizzas") are added to the cart as well.
+ */
+function cartLineKey(item) {
+  const modifiers = (item.modifiers || []).map(m => m.id).sort().join('+');
+  return `${item.id}|${modifiers}`;
+}
+
+// Add lines to the cart, bumping quantities of identical lines
+function mergeCartItems(cart, newItems) {
+  const merged = (cart || []).map(item => ({ ...item }));
+
+  for (const item of newItems) {
+    const existing = merged.find(line => cartLineKey(line) === cartLineKey(item));
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      merged.push({ ...item });
+    }
+  }
+
+  return merged;
+}
+
+function parseCartCommand(message) {
+  const text = message.toLowerCase().trim().replace(/[.!?]+$/, '');
+
+  if (/^(show|view|see|check)?\s*(my\s+|the\s+)?(cart|basket)$/.test(text)) {
+    return { action: 'show' };
+  }
+  if (/^(clear|empty)\s+(my\s+|the\s+)?(cart|basket)$/.test(text)) {
+    return { action: 'clear' };
+  }
+
+  let match = text.match(/^(?:add|also add|also|plus)\s+(.+)$/);
+  if (match) return { action: 'add', rest: match[1] };
+
+  match = text.match(/^(?:remove|delete|drop|take off|take out)\s+(?:the\s+)?(.+?)(?:\s+from\s+(?:my\s+|the\s+)?(?:cart|order|basket))?$/);
+  if (match) return { action: 'remove', rest: match[1] };
+
+  match = text.match(/^(?:make it|make that|change it to|change that to|update it to)\s+(.+)$/);
+  if (match) return { action: 'set', rest: match[1] };
+
+  // "change pasta to 3"
+  match = text.match(/^(?:change|update|make)\s+(?:the\s+)?(.+?)\s+(?:to|into)\s+(\S+)$/);
+  if (match && parseQuantity(match[2]) !== null) {
+    return { action: 'set', rest: match[1], quantity: parseQuantity(match[2]) };
+  }
+
+  return null;
+}
+
+async function handleCartCommand(client, from, state, command, phone, hotelName) {
+  state.items = state.items || [];
+  const language = guestLanguage(phone, from);
+
+  if (command.action === 'show') {
+    if (state.items.length === 0) {
+      await safeSendMessage(client, phone, from, phrase(language, 'cartEmpty'));
+      return;
+    }
+    await handleOrderIntent(client, from, state, hotelName, phone);
+    return;
+  }
+
+  if (command.action === 'clear') {
+    state.items = [];
+    state.awaitingConfirmation = false;
+    delete state.editingOrderId;
+    saveUserState(phone, from, state);
+    await safeSendMessage(client, phone, from, phrase(language, 'cartCleared'));
+    return;
+  }
+
+  const parsed = parseUserMessage(command.rest, null, phone);
+  const mentioned = parsed.orderItems;
+
+  if (command.action === 'add') {
+    if (mentioned.length === 0) {
+      await safeSendMessage(client, phone, from, phrase(language, 'notOnMenu'));
+      return;
+    }
+    state.items = mergeCartItems(state.items, mentioned);
+  } else if (command.action === 'remove') {
+    const targets = state.items.filter(line => mentioned.some(item => item.id === line.id));
+    if (targets.length === 0) {
+      await safeSendMessage(client, phone, from, phrase(language, 'notInCart'));
+      return;
+    }
+
+    // "remove 1 pizza" lowers the quantity, "remove the pizza" drops the line
+    const explicitQuantity = /^\s*(\d+|[a-z]+)\s/.test(command.rest) && parseQuantity(command.rest.trim().split(/\s+/)[0]);
+    state.items = state.items
+      .map(line => {
+        if (!targets.includes(line)) return line;
+        return explicitQuantity ? { ...line, quantity: line.quantity - explicitQuantity } : null;
+      })
+      .filter(line => line && line.quantity > 0);
+  } else if (command.action === 'set') {
+    const quantityOnly = parseQuantity(command.rest);
+
+    if (mentioned.length === 0 && quantityOnly !== null && state.items.length === 1) {
+      // "make it 3" with a single line in the cart
+      state.items[0].quantity = quantityOnly;
+    } else if (mentioned.length > 0) {
+      for (const item of mentioned) {
+        const quantity = command.quantity !== undefined ? command.quantity : item.quantity;
+        const line = state.items.find(existing => existing.id === item.id);
+        if (line) {
+          line.quantity = quantity;
+        } else {
+          state.items.push({ ...item, quantity });
+        }
+      }
+      state.items = state.items.filter(line => line.quantity > 0);
+    } else {
+      await safeSendMessage(client, phone, from, phrase(language, 'whichItem'));
+      return;
+    }
+  }
+
+  if (state.items.length === 0) {
+    state.awaitingConfirmation = false;
+    delete state.editingOrderId;
+    saveUserState(phone, from, state);
+    await safeSendMessage(client, phone, from, phrase(language, 'cartNowEmpty'));
+    return;
+  }
+
+  await handleOrderIntent(client, from, state, hotelName, phone);
+}
+
+/**
+ * Number words guests use for quantities, English and Hindi (romanised and
+ * Devanagari), up to twenty.
+ */
+const quantityWords = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, couple: 2, dozen: 12,
+  ek: 1, do: 2, teen: 3, char: 4, chaar: 4, panch: 5, paanch: 5, chhe: 6, chhah: 6, che: 6, saat: 7,
+  aath: 8, aat: 8, nau: 9, das: 10, gyarah: 11, gyara: 11, barah: 12, bara: 12, terah: 13, tera: 13,
+  chaudah: 14, chauda: 14, pandrah: 15, pandra: 15, solah: 16, sola: 16, satrah: 17, satra: 17,
+  atharah: 18, athara: 18, unnis: 19, unees: 19, bees: 20, bis: 20,
+  'एक': 1, 'दो': 2, 'तीन': 3, 'चार': 4, 'पांच': 5, 'पाँच': 5, 'छह': 6, 'छः': 6, 'सात': 7, 'आठ': 8,
+  'नौ': 9, 'दस': 10, 'ग्यारह': 11, 'बारह': 12, 'तेरह': 13, 'चौदह': 14, 'पंद्रह': 15, 'सोलह': 16,
+  'सत्रह': 17, 'अठारह': 18, 'उन्नीस': 19, 'बीस': 20
+};
+
+// Devanagari digits -> ASCII so "२ कॉफी" reads as "2 कॉफी"
+function normalizeDigits(text) {
+  return text.replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966));
+}
+
+// "3", "three", "teen", "3x" -> 3; null if the word isn't a quantity
+function parseQuantity(word) {
+  const value = normalizeDigits(String(word).toLowerCase().trim()).replace(/^x(?=\d)|(?<=\d)x$/, '');
+
+  if (/^\d{1,2}$/.test(value)) return parseInt(value) || null;
+  return value in quantityWords ? quantityWords[value] : null;
+}
+
+/**
+ * Fuzzy menu matching
+ *
+ * Text and item names are split into words, plurals are folded
+ * ("sandwiches" -> "sandwich") and small typos are tolerated based on word
+ * length. A run of words matching a whole item name or alias is a match; a
+ * single distinctive word matching part of several names ("pizza") is
+ * ambiguous and turned into a "did you mean" question.
+ */
+const matchStopwords = new Set([
+  'and', 'with', 'the', 'for', 'room', 'please', 'want', 'like', 'would', 'have', 'need', 'order',
+  'some', 'more', 'also', 'get', 'bring', 'send', 'give', 'can', 'could', 'any', 'extra', 'large',
+  'small', 'medium', 'plate', 'plates', 'cup', 'cups', 'glass', 'piece', 'pieces', 'chahiye', 'mujhe'
+]);
+
+function singularize(word) {
+  if (word.length <= 3) return word;
+  if (/ies$/.test(word)) return word.slice(0, -3) + 'y';
+  if (/(ch|sh|ss|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (/[^s]s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+function tokenize(text) {
+  return normalizeDigits(text.toLowerCase())
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Typos allowed grow with word length; short words must match exactly
+function wordsMatch(a, b) {
+  const x = singularize(a);
+  const y = singularize(b);
+  if (x === y) return true;
+
+  const length = Math.max(x.length, y.length);
+  const allowed = length <= 4 ? 0 : length <= 7 ? 1 : 2;
+  return allowed > 0 && x[0] === y[0] && levenshtein(x, y) <= allowed;
+}
+
+// The item's name in every language it has one in
+function itemNames(item) {
+  return [item.name, ...Object.values(item.translations || {}).map(translation => translation.name).filter(Boolean)];
+}
+
+function matchMenuItems(text, items) {
+  const tokens = tokenize(text);
+  const used = new Array(tokens.length).fill(false);
+  const matches = [];
+  const ambiguous = [];
+
+  // "extra cheese" is a modifier, not a cheese dish
+  const modifierWords = new Set(items.flatMap(item =>
+    (item.modifiers || []).flatMap(modifier => modifier.options.flatMap(option => tokenize(option.name)))
+  ));
+
+  const quantityBefore = start => {
+    if (start > 0 && !used[start - 1]) {
+      const quantity = parseQuantity(tokens[start - 1]);
+      if (quantity !== null) {
+        used[start - 1] = true;
+        return quantity;
+      }
+    }
+    return 1;
+  };
+
+  // Whole names, translated names and aliases, longest first so "chicken burger" wins over "burger"
+  const phrases = items.flatMap(item =>
+    [...itemNames(item), ...(item.aliases || [])].map(phrase => ({ item, words: tokenize(phrase) }))
+  ).filter(phrase => phrase.words.length > 0)
+    .sort((a, b) => b.words.length - a.words.length);
+
+  for (const { item, words } of phrases) {
+    for (let start = 0; start + words.length <= tokens.length; start++) {
+      const span = tokens.slice(start, start + words.length);
+      const free = span.every((_, offset) => !used[start + offset]);
+
+      if (free && span.every((token, offset) => wordsMatch(token, words[offset]))) {
+        span.forEach((_, offset) => { used[start + offset] = true; });
+        matches.push({ item, quantity: quantityBefore(start), start, end: start + words.length });
+      }
+    }
+  }
+
+  // Leftover distinctive words that are part of one or more item names
+  tokens.forEach((token, index) => {
+    if (used[index] || token.length < 4 || matchStopwords.has(token) || modifierWords.has(token)) return;
+    if (parseQuantity(token) !== null) return;
+
+    const candidates = items.filter(item =>
+      itemNames(item).some(name => tokenize(name).some(word => word.length >= 4 && singularize(word) === singularize(token)))
+    );
+    if (candidates.length === 0) return;
+
+    used[index] = true;
+    const counted = index > 0 && !used[index - 1] && parseQuantity(tokens[index - 1]) !== null;
+    const quantity = quantityBefore(index);
+    if (candidates.length === 1) {
+      matches.push({ item: candidates[0], quantity, start: index, end: index + 1 });
+    } else {
+      ambiguous.push({ word: token, quantity, counted, options: candidates });
+    }
+  });
 
-  try {
-    let button = new Buttons('📋 Please select whatever u like to order from the menu:', buttonSections, 'Select Category', 'Menu');
-    await client.sendMessage(from, button);
-  } catch (error) {
-    console.error(`❌ Error sending menu buttons for ${phone}:`, error.message);
-  }
+  return { matches: withItemText(tokens, matches), ambiguous };
 }
 
-// Send specific menu category
-async function sendMenuCategory(client, from, category, phone) {
-  const currentMenuConfig = loadMenuConfig(phone);
+// Each matched item gets the words that go with it, for its modifiers: from the
+// end of the previous item, or the last "and" before it, up to the next one.
+// "1 burger no onion and 1 sandwich" -> "1 burger no onion" and "1 sandwich"
+const itemSeparators = new Set(['and', 'plus', 'also', 'aur', 'और']);
+
+function withItemText(tokens, matches) {
+  const ordered = [...matches].sort((a, b) => a.start - b.start);
+  const boundaries = ordered.slice(1).map((match, index) => {
+    const previous = ordered[index];
+    for (let position = match.start - 1; position >= previous.end; position--) {
+      if (itemSeparators.has(tokens[position])) return { end: position, start: position + 1 };
+    }
+    return { end: match.start, start: match.start };
+  });
 
-  if (!currentMenuConfig.menu[category]) {
-    await safeSendMessage(client, phone, from, "Sorry, I couldn't find that menu category.");
-    return;
-  }
+  return ordered.map((match, index) => {
+    const start = index === 0 ? 0 : boundaries[index - 1].start;
+    const end = index === ordered.length - 1 ? tokens.length : boundaries[index].end;
+    return { ...match, text: tokens.slice(start, end).join(' ') };
+  });
+}
 
-  let text = `🍽 ${category.toUpperCase()} Menu (Available: ${currentMenuConfig.hours[category]}):\n\n`;
-  text += currentMenuConfig.menu[category].map(item => `• ${item}`).join('\n');
-  text += `\n\nTo order, just message: "Room [your number], [item name]"\nExample: "Room 105, 2 pizzas"`;
+async function askToClarify(client, from, state, ambiguity, phone) {
+  state.pendingClarification = {
+    quantity: ambiguity.quantity,
+    options: ambiguity.options.map(item => item.id)
+  };
 
-  await safeSendMessage(client, phone, from, text);
+  const language = guestLanguage(phone, from);
+  const options = ambiguity.options.map((item, index) => `${index + 1}. ${localizedField(item, 'name', language)}`).join('\n');
+  await safeSendMessage(client, phone, from, phrase(language, 'didYouMean', { options }));
 }
 
-// Send the full menu (all categories at once)
-async function sendFullMenu(client, from, phone, hotelName) {
-  const currentMenuConfig = loadMenuConfig(phone);
+// Turn the reply to a "did you mean" question into an order line, or null
+function resolveClarification(message, clarification, phone) {
+  const options = clarification.options
+    .map(id => getAllMenuItems(phone).find(item => item.id === id))
+    .filter(Boolean);
 
-  let text = `🍽 ${hotelName} Menu\n\n`;
+  const choice = parseInt(normalizeDigits(message.trim()));
+  let item = /^\s*\S+\s*$/.test(message) && choice >= 1 && choice <= options.length ? options[choice - 1] : null;
 
-  for (const category of currentMenuConfig.categories) {
-    text += `📋 ${category.charAt(0).toUpperCase() + category.slice(1)} (${currentMenuConfig.hours[category]}):\n`;
-    text += currentMenuConfig.menu[category].map(item => `• ${item}`).join('\n') + '\n\n';
+  if (!item) {
+    const { matches } = matchMenuItems(message, options);
+    item = matches.length === 1 ? matches[0].item : null;
   }
 
-  text += "To order, just message: \"Room [your number], [your order]\"\nExample: \"Room 105, 2 pizzas and 1 coffee\"\n\n";
-  text += "You can also browse specific categories using the buttons below:";
-
-  await safeSendMessage(client, phone, from, text);
-  await showMenuCategories(client, from, phone);
+  return item ? createOrderLine(item, clarification.quantity, findModifierOptions(item, message.toLowerCase())) : null;
 }
 
 // Parse user message without AI - using pattern matching
@@ -988,7 +6465,8 @@ function parseUserMessage(message, currentState, phone) {
   const result = {
     intent: 'unknown',
     roomNumber: null,
-    orderItems: []
+    orderItems: [],
+    ambiguous: []
   };
 
   // SPECIAL CASE: If user is just providing a room number (digits only)
@@ -1011,56 +6489,39 @@ function parseUserMessage(message, currentState, phone) {
   const menuItems = getAllMenuItems(phone);
   console.log('Available menu items:', menuItems.map(item => item.name));
 
-  menuItems.forEach(item => {
-    const escapedItemName = item.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const itemRegex = new RegExp(`(?:(\\d+|one|two|three|four|five|a|an)\\s+)?\\b(${escapedItemName})\\b`, 'gi');
-    const matches = [...text.matchAll(itemRegex)];
-
-    if (matches.length > 0) {
-      console.log('Found match for:', item.name, 'matches:', matches);
-    }
-
-    for (const match of matches) {
-      let quantity = 1;
-      if (match[1]) {
-        const quantityText = match[1].toLowerCase();
-        if (quantityText === 'one' || quantityText === 'a' || quantityText === 'an') {
-          quantity = 1;
-        } else if (quantityText === 'two') {
-          quantity = 2;
-        } else if (quantityText === 'three') {
-          quantity = 3;
-        } else if (quantityText === 'four') {
-          quantity = 4;
-        } else if (quantityText === 'five') {
-          quantity = 5;
-        } else {
-          quantity = parseInt(match[1]);
-        }
-      }
-      itemCounts[item.name] = (itemCounts[item.name] || 0) + quantity;
-    }
+  // The same dish can be listed in several categories; match the one that is open now
+  const menuConfig = loadMenuConfig(phone);
+  const openCategories = new Set(menuConfig.categories.filter(category =>
+    getCategoryStatus(phone, category, menuConfig).open
+  ));
+  const matchableItems = menuItems.filter(item => {
+    const sameName = menuItems.filter(other => other.name.toLowerCase() === item.name.toLowerCase());
+    const preferred = sameName.find(other => openCategories.has(other.category)) || sameName[0];
+    return preferred === item;
   });
 
-  result.orderItems = Object.keys(itemCounts).map(itemName => {
-    const itemDetails = menuItems.find(item => item.name === itemName);
-    return {
-      name: itemDetails.name,
-      full_name: itemDetails.full_name,
-      quantity: itemCounts[itemName],
-      price: itemDetails.price
-    };
+  const { matches, ambiguous } = matchMenuItems(text, matchableItems);
+  const itemTexts = {};
+  for (const { item, quantity, text: itemText } of matches) {
+    itemCounts[item.id] = (itemCounts[item.id] || 0) + quantity;
+    itemTexts[item.id] = [itemTexts[item.id], itemText].filter(Boolean).join(' ');
+  }
+
+  // Modifiers only count for the item they were written with
+  result.orderItems = Object.keys(itemCounts).map(itemId => {
+    const itemDetails = matchableItems.find(item => item.id === itemId);
+    return createOrderLine(itemDetails, itemCounts[itemId], findModifierOptions(itemDetails, itemTexts[itemId]));
   });
+  result.ambiguous = ambiguous;
 
   console.log('Parsed order items:', result.orderItems);
 
-  // Determine intent
-  const orderKeywords = ['order', 'get', 'like', 'have', 'bring me', 'want', 'need', "i'd like"];
-  if (orderKeywords.some(keyword => text.includes(keyword)) || result.orderItems.length > 0) {
+  // Determine intent from the keywords of every language (see intentKeywords)
+  if (mentionsKeyword(text, 'order') || result.orderItems.length > 0 || result.ambiguous.length > 0) {
     result.intent = 'order';
-  } else if (text.includes('menu') || text.includes('food') || text.includes('what do you have') || text.includes('offer')) {
+  } else if (mentionsKeyword(text, 'menu')) {
     result.intent = 'menu';
-  } else if (text.includes('hello') || text.includes('hi') || text.includes('hey') || text.includes('good')) {
+  } else if (mentionsKeyword(text, 'greeting')) {
     result.intent = 'greeting';
   } else if (result.roomNumber) {
     result.intent = 'provide_room_only';
@@ -1069,6 +6530,62 @@ function parseUserMessage(message, currentState, phone) {
   return result;
 }
 
+/**
+ * Drop cart items whose menu category is closed right now and tell the guest
+ * when it opens again. Returns true if anything was removed.
+ */
+async function removeClosedItems(client, from, state, phone) {
+  const menuConfig = loadMenuConfig(phone);
+  const language = guestLanguage(phone, from);
+  const closed = {};
+
+  state.items = state.items.filter(item => {
+    if (!item.category || !menuConfig.menu[item.category]) return true;
+
+    const status = getCategoryStatus(phone, item.category, menuConfig);
+    if (status.open) return true;
+
+    closed[item.category] = closed[item.category] || { status, names: [] };
+    closed[item.category].names.push(localizedField(item, 'name', language));
+    return false;
+  });
+
+  for (const [category, { status, names }] of Object.entries(closed)) {
+    await safeSendMessage(client, phone, from, phrase(language, 'itemsClosed', {
+      items: names.join(', '),
+      category: formatCategoryName(category),
+      opening: describeNextOpening(status.next, language)
+    }));
+  }
+
+  return Object.keys(closed).length > 0;
+}
+
+/**
+ * Fill in the room from the guest's check-in. Returns false, after telling
+ * the guest, once their stay is over.
+ */
+async function applyGuestStay(client, from, state, phone) {
+  const stay = findLatestStay(phone, from);
+  if (stay && isStayActive(stay)) {
+    state.room = stay.room;
+    state.stayId = stay.id;
+    return true;
+  }
+
+  // A room that came from a stay goes with it
+  if (state.stayId) {
+    delete state.stayId;
+    state.room = null;
+  }
+
+  if (stay) {
+    await safeSendMessage(client, phone, from, phrase(guestLanguage(phone, from), 'stayEnded'));
+    return false;
+  }
+  return true;
+}
+
 /**
  * Handle order intent
  */
@@ -1076,27 +6593,56 @@ async function handleOrderIntent(client, from, state, hotelName, phone) {
   if (!state.items) {
     state.items = [];
   }
+  const language = guestLanguage(phone, from);
+
+  if (!await applyGuestStay(client, from, state, phone)) {
+    state.awaitingConfirmation = false;
+    saveUserState(phone, from, state);
+    return;
+  }
 
   if (!state.room) {
-    await safeSendMessage(client, phone, from, "I'd be happy to help with your order! 🍽️\n\nCould you please tell me your room number first? (Example: 'Room 105' or just '105')");
+    await safeSendMessage(client, phone, from, phrase(language, 'askRoom'));
     return;
   }
 
   if (state.items.length === 0) {
-    await safeSendMessage(client, phone, from, "What would you like to order from our menu? You can say something like '2 pizzas and 1 coffee' or type 'menu' to see options.");
+    await safeSendMessage(client, phone, from, phrase(language, 'askItems'));
     return;
   }
 
-  // Calculate total
-  const total = state.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-  const orderSummary = state.items.map(item =>
-    `${item.quantity} x ${item.full_name} - ₹${item.price * item.quantity}`
-  ).join('\n');
+  const unavailable = state.items.filter(item => item.available === false);
+  if (unavailable.length > 0) {
+    state.items = state.items.filter(item => item.available !== false);
+    await safeSendMessage(client, phone, from, phrase(language, unavailable.length === 1 ? 'itemUnavailable' : 'itemsUnavailable', {
+      items: unavailable.map(item => localizedField(item, 'name', language)).join(', ')
+    }));
 
-  await safeSendMessage(client, phone, from, `📋 Order Summary:\n\n🏨 Room: ${state.room}\n🍽 Items:\n${orderSummary}\n💵 Total: ₹${total}\n\nShould I place this order? Please reply 'yes' to confirm or 'no' to cancel.`);
+    if (state.items.length === 0) {
+      await safeSendMessage(client, phone, from, phrase(language, 'chooseSomethingElse'));
+      saveUserState(phone, from, state);
+      return;
+    }
+  }
+
+  if (await removeClosedItems(client, from, state, phone) && state.items.length === 0) {
+    await safeSendMessage(client, phone, from, phrase(language, 'menuHint'));
+    saveUserState(phone, from, state);
+    return;
+  }
+
+  const currency = loadMenuConfig(phone).currency;
+  const pricing = priceCart(phone, state);
+  await safeSendMessage(client, phone, from, phrase(language, state.editingOrderId ? 'orderChangesSummary' : 'orderSummary', {
+    orderId: state.editingOrderId,
+    room: state.room,
+    items: state.items.map(item => formatOrderItem(item, currency, language)).join('\n'),
+    total: formatPricingLines(pricing, currency, language).join('\n'),
+    note: promoCodeNote(phone, state, pricing, language)
+  }));
 
   state.awaitingConfirmation = true;
-  userStates.set(from, state);
+  saveUserState(phone, from, state);
 }
 
 /**
@@ -1104,58 +6650,613 @@ async function handleOrderIntent(client, from, state, hotelName, phone) {
  */
 async function placeOrder(client, from, state, phone, hotelName) {
   console.log('🛒 Placing order for hotel:', hotelName, 'Room:', state.room, 'Items:', state.items);
+  const language = guestLanguage(phone, from);
+
+  // The stay may have ended while the guest was deciding
+  if (!await applyGuestStay(client, from, state, phone)) {
+    state.awaitingConfirmation = false;
+    saveUserState(phone, from, state);
+    return;
+  }
   
   if (!state.room) {
-    await safeSendMessage(client, phone, from, "❌ Sorry, I need your room number to place the order. Please provide your room number first.");
+    await safeSendMessage(client, phone, from, phrase(language, 'needRoom'));
     return;
   }
 
   if (!state.items || state.items.length === 0) {
-    await safeSendMessage(client, phone, from, "❌ Sorry, I need order items to place your order.");
+    await safeSendMessage(client, phone, from, phrase(language, 'needItems'));
+    return;
+  }
+
+  // A category may have closed while the guest was deciding
+  if (await removeClosedItems(client, from, state, phone)) {
+    state.awaitingConfirmation = false;
+    saveUserState(phone, from, state);
+    if (state.items.length > 0) {
+      await handleOrderIntent(client, from, state, hotelName, phone);
+    }
+    return;
+  }
+
+  if (state.editingOrderId) {
+    await saveOrderChanges(client, from, state, phone);
     return;
   }
 
-  const orders = loadOrders(phone);
   const orderId = Date.now();
   
-  // Calculate total and prepare items for storage
-  const orderItems = state.items.map(item => ({
-    name: item.full_name || item.name,
-    quantity: item.quantity || 1,
-    price: item.price || 0,
-    subtotal: (item.price || 0) * (item.quantity || 1)
-  }));
-  
-  const total = orderItems.reduce((sum, item) => sum + item.subtotal, 0);
+  // Price the items for storage
+  const currency = loadMenuConfig(phone).currency;
+  const orderItems = toOrderItems(state.items);
+  const pricing = priceOrder(phone, orderItems, { promoCode: state.promoCode });
 
   const newOrder = {
     id: orderId,
     room: state.room.toString().trim(), // Ensure room is string and trimmed
     items: orderItems,
-    total: total,
+    total: pricing.total,
+    pricing,
+    currency,
     guestNumber: from,
-    status: "Pending",
+    stayId: state.stayId || null,
+    status: getOrderWorkflow(phone).initial,
     timestamp: new Date().toISOString()
   };
+  newOrder.history = [{ status: newOrder.status, at: newOrder.timestamp, by: 'guest', reason: null }];
 
   console.log('💾 Saving order:', newOrder);
   
-  orders.push(newOrder);
-  saveOrders(phone, orders);
+  addOrder(phone, newOrder);
+  emitToHotel(phone, 'order:created', newOrder);
 
   // Confirm to guest
-  const itemSummary = newOrder.items.map(item =>
-    `${item.quantity} x ${item.name}`
-  ).join(', ');
-
-  await safeSendMessage(client, phone, from, `✅ Order #${newOrder.id} placed successfully!\n\n🏨 Room: ${newOrder.room}\n🍽 Items: ${itemSummary}\n💵 Total: ₹${total}\n\nWe'll notify you when your order is confirmed. You can check status anytime by typing "status".`);
+  await safeSendMessage(client, phone, from, botMessage(phone, 'orderPlaced', {
+    orderId: newOrder.id,
+    room: newOrder.room,
+    items: newOrder.items.map(item => describeOrderItem(item, language)).join(', '),
+    total: formatPricingLines(pricing, currency, language).join('\n')
+  }, language));
 
   console.log(`📦 Order #${orderId} saved for hotel ${hotelName}`);
 
-  // Update state
+  // Update state - the cart is done, but keep the room and order for follow-ups
   state.lastOrderId = newOrder.id;
+  noteMessageOrder(phone, from, newOrder.id);
   state.awaitingRating = false;
-  userStates.set(from, state);
+  state.awaitingConfirmation = false;
+  state.items = [];
+  delete state.promoCode;
+  saveUserState(phone, from, state);
+}
+
+/**
+ * Ratings
+ *
+ * When the hotel completes an order the guest is asked for 1-5 stars, then
+ * for an optional comment. Both are stored on the order as
+ * order.rating = { score, comment, ratedAt }.
+ */
+async function requestRating(client, phone, order) {
+  const state = getUserState(phone, order.guestNumber);
+  state.awaitingRating = true;
+  state.ratingOrderId = order.id;
+  delete state.awaitingComment;
+  saveUserState(phone, order.guestNumber, state);
+
+  const language = guestLanguage(phone, order.guestNumber);
+  const labels = phrase(language, 'ratingLabels').split('|');
+  await sendOptions(client, order.guestNumber, phone, {
+    body: phrase(language, 'rateOrder', { orderId: order.id }),
+    title: phrase(language, 'rateTitle'),
+    buttonText: phrase(language, 'rateButton'),
+    options: labels.map((label, index) => ({ id: `rate_${index + 1}`, label: `${'⭐'.repeat(index + 1)} ${label}` })),
+    log: { intent: 'rating_request', orderId: order.id }
+  });
+}
+
+// 1-5 from "rate_4", "4", "4 stars" or "⭐⭐⭐⭐"; null otherwise
+function parseRatingReply(message) {
+  const text = normalizeDigits(message.trim().toLowerCase());
+  const match = text.match(/^(?:rate_)?([1-5])(?:\s*(?:\/\s*5|stars?|⭐+))?$/) || text.match(/^(⭐{1,5})$/u);
+  if (!match) return null;
+  return /^\d$/.test(match[1]) ? parseInt(match[1]) : [...match[1]].length;
+}
+
+// Anything but an obvious new order or command counts as a comment
+function isRatingComment(message, phone) {
+  const text = message.trim().toLowerCase();
+  if (parseCartCommand(message) || /^(menu|cart|status|help|reset|my orders?)\b/.test(text)) return false;
+
+  const parsed = parseUserMessage(message, null, phone);
+  const startsLikeOrder = /^(\d|a |an |one |two |i want|i'd like|i would like|order|send|bring|get )/.test(text);
+  return !(parsed.orderItems.length > 0 && startsLikeOrder);
+}
+
+async function saveRating(client, from, state, phone, score) {
+  const order = findOrder(phone, state.ratingOrderId || state.lastOrderId);
+  state.awaitingRating = false;
+  delete state.ratingOrderId;
+
+  if (!order) {
+    saveUserState(phone, from, state);
+    return;
+  }
+
+  noteMessageOrder(phone, from, order.id);
+  order.rating = { score, comment: null, ratedAt: new Date().toISOString() };
+  updateOrder(phone, order);
+  emitToHotel(phone, 'order:updated', order);
+  console.log(`⭐ Guest ${from} rated ${score} stars for Order ${order.id}`);
+
+  state.awaitingComment = order.id;
+  saveUserState(phone, from, state);
+
+  await safeSendMessage(client, phone, from, phrase(guestLanguage(phone, from), 'ratingThanks', { score }));
+
+  // Forward rating to admin
+  const adminNumber = `${phone}@c.us`;
+  await safeSendMessage(client, phone, adminNumber, `📩 Guest ${from} rated Order #${order.id}: ${score} ⭐`);
+}
+
+async function saveRatingComment(client, from, state, phone, orderId, comment) {
+  saveUserState(phone, from, state);
+
+  const order = findOrder(phone, orderId);
+  if (!order || !order.rating) return;
+
+  order.rating.comment = comment;
+  updateOrder(phone, order);
+  emitToHotel(phone, 'order:updated', order);
+
+  await safeSendMessage(client, phone, from, phrase(guestLanguage(phone, from), 'commentThanks'));
+
+  const adminNumber = `${phone}@c.us`;
+  await safeSendMessage(client, phone, adminNumber, `📩 Comment on Order #${order.id} from ${from}: "${comment}"`);
+}
+
+/**
+ * Guest language
+ *
+ * "language" lists the hotel's languages, "language hindi", "lang hi",
+ * "भाषा हिंदी" or just "hindi" switches to one.
+ */
+function parseLanguageCommand(message) {
+  const text = message.trim().toLowerCase().replace(/[.!?।]+$/, '');
+  if (text.startsWith('lang_')) return { name: text.slice('lang_'.length) };
+
+  const match = text.match(/^(?:language|lang|bhasha|भाषा)(?:\s*[:-]?\s*(\S+))?$/);
+  if (match) return { name: match[1] || null };
+
+  return Object.values(supportedLanguages).some(language => language.aliases.includes(text)) ? { name: text } : null;
+}
+
+async function handleLanguageCommand(client, from, state, command, phone) {
+  const { enabled } = getLanguageSettings(phone);
+  const current = guestLanguage(phone, from);
+
+  if (!command.name) {
+    if (enabled.length < 2) {
+      await safeSendMessage(client, phone, from, phrase(current, 'languageOnly', { languages: languageNames(enabled) }));
+      return;
+    }
+    await sendOptions(client, from, phone, {
+      body: phrase(current, 'languageChoice'),
+      title: phrase(current, 'languageTitle'),
+      buttonText: phrase(current, 'languageButton'),
+      options: enabled.map(code => ({ id: `lang_${code}`, label: `🌐 ${supportedLanguages[code].name}` }))
+    });
+    return;
+  }
+
+  const language = findLanguage(command.name);
+  if (!enabled.includes(language)) {
+    await safeSendMessage(client, phone, from, phrase(current, 'languageUnavailable', {
+      language: language ? supportedLanguages[language].name : command.name,
+      languages: languageNames(enabled)
+    }));
+    return;
+  }
+
+  state.language = language;
+  saveUserState(phone, from, state);
+  console.log(`🌐 Guest ${from} at ${phone} switched to ${language}`);
+  await safeSendMessage(client, phone, from, phrase(language, 'languageSet'));
+}
+
+/**
+ * Guest order status
+ */
+function parseStatusCommand(message) {
+  const text = message.trim().toLowerCase().replace(/[?.!]+$/, '');
+
+  if (/^(?:(?:my|all)\s+orders?|orders|(?:my\s+)?(?:order\s+)?status|check\s+status|track\s+(?:my\s+)?orders?)$/.test(text)) {
+    return { orderId: null };
+  }
+
+  const match = text.match(/^(?:(?:order\s+)?status|track)\s+(?:of\s+)?(?:order\s*)?#?\s*(\d+)$/) ||
+    text.match(/^order\s*#\s*(\d+)$/);
+  return match ? { orderId: parseInt(match[1]) } : null;
+}
+
+function formatOrderTime(phone, timestamp, language = 'en') {
+  return new Date(timestamp).toLocaleString(supportedLanguages[language].locale, {
+    timeZone: getHotelTimezone(phone),
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+async function sendOrderStatus(client, from, command, phone) {
+  const language = guestLanguage(phone, from);
+
+  if (command.orderId) {
+    const order = findOrder(phone, command.orderId);
+    if (!order || order.guestNumber !== from) {
+      await safeSendMessage(client, phone, from, phrase(language, 'orderNotFound', { orderId: command.orderId }));
+      return;
+    }
+    noteMessageOrder(phone, from, order.id);
+
+    const lastChange = (order.history || []).slice(-1)[0];
+    let text = phrase(language, 'orderDetails', {
+      orderId: order.id,
+      status: order.status,
+      room: order.room,
+      items: order.items.map(item => formatOrderItem(item, order.currency, language)).join('\n'),
+      total: formatPricingLines(orderPricing(order), order.currency, language).join('\n'),
+      placed: formatOrderTime(phone, order.timestamp, language)
+    });
+    if (lastChange && lastChange.at !== order.timestamp) {
+      text += `\n${phrase(language, 'orderLastUpdate', { time: formatOrderTime(phone, lastChange.at, language) })}${lastChange.reason ? ` (${lastChange.reason})` : ''}`;
+    }
+    await safeSendMessage(client, phone, from, text);
+    return;
+  }
+
+  const orders = findGuestOrders(phone, from).reverse();
+  if (orders.length === 0) {
+    await safeSendMessage(client, phone, from, phrase(language, 'noOrders'));
+    return;
+  }
+
+  const shown = orders.slice(0, 10);
+  let text = `${phrase(language, 'orderList', { count: orders.length })}\n\n`;
+  text += shown.map(order =>
+    `#${order.id} - *${order.status}*\n🍽 ${order.items.map(item => describeOrderItem(item, language)).join(', ')}\n💵 ${formatPrice(order.total || 0, order.currency)} · ${formatOrderTime(phone, order.timestamp, language)}`
+  ).join('\n\n');
+  if (orders.length > shown.length) {
+    text += `\n\n${phrase(language, 'olderOrders', { count: orders.length - shown.length })}`;
+  }
+  text += `\n\n${phrase(language, 'orderListHint')}`;
+
+  await safeSendMessage(client, phone, from, text);
+}
+
+function isBillCommand(message) {
+  const text = message.trim().toLowerCase().replace(/[?.!]+$/, '');
+  return /^(?:(?:show|send|get)\s+(?:me\s+)?)?(?:my\s+|the\s+)?(?:bill|folio|invoice)(?:\s+(?:please|pls))?$/.test(text) ||
+    /^(?:bill|folio|invoice)\s+(?:bhejo|dikhao|chahiye)$/.test(text);
+}
+
+async function sendGuestBill(client, from, phone, hotelName) {
+  const stay = findLatestStay(phone, from);
+  if (!stay) {
+    await safeSendMessage(client, phone, from, phrase(guestLanguage(phone, from), 'noStay'));
+    return;
+  }
+
+  await sendFolio(client, phone, from, getFolio(phone, stay), hotelName);
+}
+
+/**
+ * Guest service requests
+ *
+ * A request needs the guest's room and, for wake-up calls, a time; anything
+ * missing is asked for and the request waits in state.pendingServiceRequest
+ * (with need: 'room' | 'time' | 'details') until the guest answers.
+ */
+async function requestService(client, from, state, request, phone) {
+  if (!await applyGuestStay(client, from, state, phone)) {
+    delete state.pendingServiceRequest;
+    saveUserState(phone, from, state);
+    return;
+  }
+
+  const type = serviceRequestTypes[request.type];
+  const language = guestLanguage(phone, from);
+  const { need, ...pending } = request;
+  let question = null;
+  if (type.needsTime && pending.time === null) {
+    question = { need: 'time', key: 'askWakeUpTime' };
+  } else if (request.type === 'maintenance' && !pending.details) {
+    question = { need: 'details', key: 'askRepairDetails' };
+  } else if (!state.room) {
+    question = { need: 'room', key: 'askRoomForRequest' };
+  }
+
+  if (question) {
+    state.pendingServiceRequest = { ...pending, need: question.need };
+    saveUserState(phone, from, state);
+    await safeSendMessage(client, phone, from, phrase(language, question.key));
+    return;
+  }
+
+  delete state.pendingServiceRequest;
+  saveUserState(phone, from, state);
+
+  const created = await createServiceRequest(client, phone, {
+    ...pending,
+    details: pending.details || type.label,
+    room: state.room.toString().trim(),
+    guestNumber: from,
+    stayId: state.stayId
+  }, 'guest');
+  await safeSendMessage(client, phone, from, botMessage(phone, 'requestReceived', serviceRequestValues(phone, created, language), language));
+}
+
+function parseServiceRequestCommand(message) {
+  const text = message.trim().toLowerCase().replace(/[?.!]+$/, '');
+  if (/^(?:(?:my|all)\s+)?(?:service\s+)?requests(?:\s+status)?$|^(?:my\s+)?request\s+status$/.test(text)) {
+    return { action: 'list' };
+  }
+
+  const match = text.match(/^cancel\s+(?:my\s+)?(?:the\s+)?(?:service\s+)?request(?:\s*#?\s*(\d+))?$/);
+  return match ? { action: 'cancel', requestId: match[1] ? parseInt(match[1]) : null } : null;
+}
+
+async function handleServiceRequestCommand(client, from, state, command, phone) {
+  const requests = storage.getGuestServiceRequests(phone, from, getStayStart(phone, from)).reverse();
+  const language = guestLanguage(phone, from);
+
+  if (command.action === 'list') {
+    if (requests.length === 0) {
+      await safeSendMessage(client, phone, from, phrase(language, 'noRequests'));
+      return;
+    }
+    const text = requests.slice(0, 10).map(request =>
+      `#${request.id} - *${request.status}*\n📋 ${describeServiceRequest(phone, request, language)} · ${formatOrderTime(phone, request.createdAt, language)}`
+    ).join('\n\n');
+    await safeSendMessage(client, phone, from, phrase(language, 'requestList', { count: requests.length, requests: text }));
+    return;
+  }
+
+  const request = command.requestId
+    ? requests.find(r => r.id === command.requestId)
+    : requests.find(r => openServiceStatuses.includes(r.status));
+  if (!request) {
+    await safeSendMessage(client, phone, from, command.requestId
+      ? phrase(language, 'requestNotFound', { requestId: command.requestId })
+      : phrase(language, 'noOpenRequests'));
+    return;
+  }
+  if (request.status !== 'Open') {
+    await safeSendMessage(client, phone, from, phrase(language, 'requestNotCancellable', { requestId: request.id, status: request.status.toLowerCase() }));
+    return;
+  }
+
+  await changeServiceRequestStatus(client, phone, request, 'Cancelled', { by: 'guest', reason: 'Cancelled by guest' });
+  await safeSendMessage(client, phone, from, phrase(language, 'requestCancelledByGuest', {
+    requestId: request.id,
+    request: localizedField(serviceRequestTypes[request.type], 'label', language)
+  }));
+  const alertLanguage = hotelLanguage(phone);
+  await safeSendMessage(client, phone, `${phone}@c.us`, botMessage(phone, 'requestCancelledAlert', serviceRequestValues(phone, request, alertLanguage), alertLanguage));
+}
+
+/**
+ * Promo codes
+ *
+ * "promo WELCOME10" / "coupon WELCOME10" keeps the code in the guest's state
+ * until an order is placed with it; "remove promo" drops it. The cart is
+ * priced with the code so the summary shows the saving before confirming.
+ */
+function parsePromoCommand(message) {
+  const text = message.trim().replace(/[.!]+$/, '');
+  if (/^(?:remove|clear|cancel|delete)\s+(?:the\s+|my\s+)?(?:promo|coupon)(?:\s+code)?$/i.test(text)) {
+    return { action: 'remove' };
+  }
+
+  const match = text.match(/^(?:(?:apply|use)\s+(?:(?:promo|coupon)\s+)?code|(?:apply\s+)?(?:promo|coupon)(?:\s+code)?)\s*:?\s+([a-z0-9_-]{3,20})$/i);
+  return match ? { action: 'apply', code: match[1].toUpperCase() } : null;
+}
+
+async function handlePromoCommand(client, from, state, command, phone, hotelName) {
+  const hasCart = state.items && state.items.length > 0;
+  const language = guestLanguage(phone, from);
+
+  if (command.action === 'remove') {
+    const removed = state.promoCode;
+    delete state.promoCode;
+    saveUserState(phone, from, state);
+    await safeSendMessage(client, phone, from, removed ? phrase(language, 'promoRemoved', { code: removed }) : phrase(language, 'noPromo'));
+    if (removed && hasCart && state.awaitingConfirmation) {
+      await handleOrderIntent(client, from, state, hotelName, phone);
+    }
+    return;
+  }
+
+  const problem = promoCodeProblem(phone, command.code, null, new Date(), language);
+  if (problem) {
+    await safeSendMessage(client, phone, from, problem);
+    return;
+  }
+
+  const promo = findPromoCode(phone, command.code);
+  const saving = phrase(language, 'promoSaving', {
+    amount: promo.percent !== undefined ? `${promo.percent}%` : formatPrice(promo.amount, loadMenuConfig(phone).currency)
+  });
+  state.promoCode = promo.code;
+  saveUserState(phone, from, state);
+
+  await safeSendMessage(client, phone, from, phrase(language, hasCart ? 'promoApplied' : 'promoAppliedNext', { code: promo.code, saving }));
+  if (hasCart && state.room) {
+    await handleOrderIntent(client, from, state, hotelName, phone);
+  }
+}
+
+// Prices the guest's cart, keeping the time and promo code of an order being changed
+function priceCart(phone, state, order = state.editingOrderId ? findOrder(phone, state.editingOrderId) : null) {
+  const previous = order && order.pricing;
+  return priceOrder(phone, toOrderItems(state.items), {
+    promoCode: state.promoCode || (previous ? previous.promoCode : null),
+    date: order ? new Date(order.timestamp) : new Date()
+  });
+}
+
+// Explains why the guest's promo code was left off the cart, if it was
+function promoCodeNote(phone, state, pricing, language = 'en') {
+  if (!state.promoCode || pricing.promoCode === state.promoCode) return '';
+
+  const discounted = pricing.subtotal - pricing.discounts.reduce((sum, discount) => sum + discount.amount, 0);
+  const problem = promoCodeProblem(phone, state.promoCode, discounted, new Date(), language);
+  return problem ? `\n\n⚠️ ${problem}` : '';
+}
+
+// Cart lines -> stored order items
+function toOrderItems(cartItems) {
+  return cartItems.map(item => ({
+    id: item.id,
+    name: item.name,
+    category: item.category,
+    quantity: item.quantity || 1,
+    price: item.price || 0,
+    modifiers: item.modifiers || [],
+    ...(item.translations ? { translations: item.translations } : {}),
+    subtotal: (item.price || 0) * (item.quantity || 1)
+  }));
+}
+
+/**
+ * Guest order changes
+ *
+ * "cancel order" / "cancel #123" cancels a placed order and "change order" /
+ * "change #123" loads it back into the cart; confirming the edited cart then
+ * updates that order instead of placing a new one. Both only work while
+ * canGuestChangeOrder allows it, and the hotel number and dashboard are told.
+ */
+function parseOrderCommand(message) {
+  const text = message.trim().toLowerCase();
+  const match = text.match(/^(cancel|change|modify|edit)\s+(?:my\s+)?(?:(?:last\s+)?(order)\b)?\s*(?:#\s*|no\.?\s*)?(\d+)?\s*[.!]?$/);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  return {
+    action: match[1] === 'cancel' ? 'cancel' : 'change',
+    orderId: match[3] ? parseInt(match[3]) : null
+  };
+}
+
+async function handleOrderCommand(client, from, state, command, phone, hotelName) {
+  const orderId = command.orderId || state.lastOrderId;
+  const order = orderId ? findOrder(phone, orderId) : null;
+  const language = guestLanguage(phone, from);
+
+  if (!order || order.guestNumber !== from) {
+    await safeSendMessage(client, phone, from, command.orderId
+      ? phrase(language, 'orderToChangeNotFound', { orderId: command.orderId })
+      : phrase(language, 'noRecentOrder'));
+    return;
+  }
+  noteMessageOrder(phone, from, order.id);
+
+  if (!canGuestChangeOrder(order, phone)) {
+    await safeSendMessage(client, phone, from, phrase(language, command.action === 'cancel' ? 'orderNotCancellable' : 'orderNotChangeable', {
+      orderId: order.id,
+      status: order.status.toLowerCase()
+    }));
+    return;
+  }
+
+  if (command.action === 'cancel') {
+    await cancelOrderForGuest(client, from, order, phone);
+    return;
+  }
+
+  state.editingOrderId = order.id;
+  state.room = order.room;
+  state.items = order.items.map(item => ({
+    id: item.id,
+    name: item.name,
+    category: item.category,
+    quantity: item.quantity,
+    price: item.price || 0,
+    currency: order.currency,
+    modifiers: item.modifiers || [],
+    ...(item.translations ? { translations: item.translations } : {}),
+    available: true
+  }));
+
+  await safeSendMessage(client, phone, from, phrase(language, 'editingOrder', { orderId: order.id }));
+  await handleOrderIntent(client, from, state, hotelName, phone);
+}
+
+async function cancelOrderForGuest(client, from, order, phone) {
+  const workflow = getOrderWorkflow(phone);
+  const cancelled = resolveOrderStatus(workflow, 'Cancelled');
+  const language = guestLanguage(phone, from);
+
+  if (!cancelled || !canTransition(workflow, order.status, cancelled)) {
+    await safeSendMessage(client, phone, from, phrase(language, 'cancelNotAllowed', { orderId: order.id }));
+    return;
+  }
+
+  recordStatusChange(order, cancelled, { by: 'guest', reason: 'Cancelled by guest' });
+  updateOrder(phone, order);
+  emitToHotel(phone, 'order:updated', order);
+
+  await safeSendMessage(client, phone, from, botMessage(phone, 'orderCancelled', { orderId: order.id, room: order.room }, language));
+
+  const adminNumber = `${phone}@c.us`;
+  await safeSendMessage(client, phone, adminNumber, botMessage(phone, 'orderCancelledAlert', { orderId: order.id, room: order.room, guest: from }, hotelLanguage(phone)));
+}
+
+async function saveOrderChanges(client, from, state, phone) {
+  const order = findOrder(phone, state.editingOrderId);
+  const language = guestLanguage(phone, from);
+  delete state.editingOrderId;
+
+  // The hotel may have moved the order on while the guest was editing
+  if (!order || !canGuestChangeOrder(order, phone)) {
+    saveUserState(phone, from, state);
+    await safeSendMessage(client, phone, from, order
+      ? phrase(language, 'orderMovedOn', { orderId: order.id, status: order.status.toLowerCase() })
+      : phrase(language, 'orderGone'));
+    return;
+  }
+
+  order.items = toOrderItems(state.items);
+  order.pricing = priceCart(phone, state, order);
+  order.total = order.pricing.total;
+  order.room = state.room.toString().trim();
+  order.updatedAt = new Date().toISOString();
+  order.history = [...(order.history || []), { status: order.status, at: order.updatedAt, by: 'guest', reason: 'Items changed by guest' }];
+
+  updateOrder(phone, order);
+  emitToHotel(phone, 'order:updated', order);
+  noteMessageOrder(phone, from, order.id);
+
+  await safeSendMessage(client, phone, from, botMessage(phone, 'orderUpdated', {
+    orderId: order.id,
+    room: order.room,
+    items: order.items.map(item => describeOrderItem(item, language)).join(', '),
+    total: formatPricingLines(order.pricing, order.currency, language).join('\n')
+  }, language));
+
+  const adminNumber = `${phone}@c.us`;
+  const alertLanguage = hotelLanguage(phone);
+  await safeSendMessage(client, phone, adminNumber, botMessage(phone, 'orderChangedAlert', {
+    orderId: order.id,
+    room: order.room,
+    items: order.items.map(item => describeOrderItem(item, alertLanguage)).join('\n'),
+    guest: from
+  }, alertLanguage));
+
+  state.lastOrderId = order.id;
+  state.awaitingConfirmation = false;
+  state.items = [];
+  saveUserState(phone, from, state);
 }
 
 // Start bots for all hotels on server start
@@ -1175,10 +7276,13 @@ function initializeHotelBots() {
 }
 
 // Start server
-app.listen(PORT, () => {
+ensureSuperAdmins();
+migrateLegacyOrderStatuses();
+
+server.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`🏨 Hotel Management System initialized`);
-  console.log(`👑 Super Admin: ${hotelConfig.superAdmin.username}`);
+  console.log(`👑 Super Admins: ${loadSuperAdmins().map(a => a.username).join(', ')}`);
   
   // Initialize bots for hotels that should be connected
   initializeHotelBots();